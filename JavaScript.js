@@ -4,48 +4,327 @@
 
 document.addEventListener('DOMContentLoaded', () => {
     // --- Application State ---
-    const state = {
+
+    /**
+     * Wraps the application state in an observable store. Assigning a top-level
+     * key of `store.state`, or a field of a message passed through
+     * `store.observe`, is recorded, and subscribers receive the changes once per
+     * microtask as `{keys: Set<string>, messages: Set<object>}`. Arrays and nested
+     * objects are not watched, so replace them rather than mutating them.
+     * @param {object} initialState - The initial state.
+     * @returns {{state: object, observe: Function, subscribe: Function}}
+     */
+    const createStore = (initialState) => {
+        const listeners = new Set();
+        let pending = null;
+
+        const record = (kind, value) => {
+            if (!pending) {
+                pending = { keys: new Set(), messages: new Set() };
+                queueMicrotask(() => {
+                    const changes = pending;
+                    pending = null;
+                    listeners.forEach(listener => listener(changes));
+                });
+            }
+            pending[kind].add(value);
+        };
+
+        return {
+            state: new Proxy(initialState, {
+                set: (target, key, value) => {
+                    if (target[key] !== value) {
+                        target[key] = value;
+                        record('keys', key);
+                    }
+                    return true;
+                }
+            }),
+            observe: (msg) => {
+                const observed = new Proxy(msg, {
+                    set: (target, key, value) => {
+                        if (target[key] !== value) {
+                            target[key] = value;
+                            record('messages', observed);
+                        }
+                        return true;
+                    }
+                });
+                return observed;
+            },
+            subscribe: (listener) => listeners.add(listener)
+        };
+    };
+
+    const store = createStore({
+        // Every message of the open conversation: a tree linked by `parentId`.
+        messages: [],
+        // The branch being shown, from the first message to the active leaf.
         chatHistory: [],
-        searchQuery: '',
+        search: {
+            query: '',
+            caseSensitive: false,
+            wholeWord: false,
+            regex: false,
+            role: 'all',
+            imagesOnly: false,
+            from: '',
+            to: '',
+            matchIndex: 0,
+            pendingMessageId: null,
+            error: ''
+        },
         inputValue: '',
         isLoading: false,
         isListening: false,
-        uploadedImage: null
-    };
+        isVoiceMode: false,
+        attachments: [],
+        // Text documents attached to the open conversation, split into chunks.
+        documents: [],
+        // Named sets of system instruction, sampling settings, voice and model.
+        personas: [],
+        // Requests the open conversation made while offline, sent once the connection returns.
+        offlineQueue: [],
+        contextSummary: { text: '', coveredCount: 0 },
+        sessions: [],
+        activeSessionId: null,
+        sessionQuery: '',
+        commandSuggestions: [],
+        activeSuggestion: 0,
+        gallery: {
+            scope: 'session',
+            selected: [],
+            isComparing: false
+        }
+    });
+    const state = store.state;
 
     // --- DOM Element References ---
     const elements = {
         chatHistoryDiv: document.getElementById('chat-history'),
+        personaSelect: document.getElementById('persona-select'),
+        pinnedMessages: document.getElementById('pinned-messages'),
+        offlineQueue: document.getElementById('offline-queue'),
+        jumpToLatestBtn: document.getElementById('jump-to-latest-btn'),
         searchInput: document.getElementById('search-input'),
+        searchCounter: document.getElementById('search-counter'),
+        searchPrevBtn: document.getElementById('search-prev-btn'),
+        searchNextBtn: document.getElementById('search-next-btn'),
+        searchOptionsBtn: document.getElementById('search-options-btn'),
+        searchOptions: document.getElementById('search-options'),
+        searchCaseSensitive: document.getElementById('search-case-sensitive'),
+        searchWholeWord: document.getElementById('search-whole-word'),
+        searchRegex: document.getElementById('search-regex'),
+        searchRole: document.getElementById('search-role'),
+        searchImagesOnly: document.getElementById('search-images-only'),
+        searchFrom: document.getElementById('search-from'),
+        searchTo: document.getElementById('search-to'),
+        searchResults: document.getElementById('search-results'),
         messageInput: document.getElementById('message-input'),
         chatForm: document.getElementById('chat-form'),
         sendButton: document.getElementById('send-button'),
+        stopButton: document.getElementById('stop-button'),
+        playbackControls: document.getElementById('playback-controls'),
+        playbackStatus: document.getElementById('playback-status'),
+        playbackPauseBtn: document.getElementById('playback-pause-btn'),
+        playbackSkipBtn: document.getElementById('playback-skip-btn'),
+        playbackStopBtn: document.getElementById('playback-stop-btn'),
         micButton: document.getElementById('mic-button'),
         imageUploadBtn: document.getElementById('image-upload-btn'),
         imageUploadInput: document.getElementById('image-upload'),
-        imagePreviewDiv: document.getElementById('image-preview'),
-        imagePreviewImg: document.getElementById('image-preview-img'),
-        imagePreviewCloseBtn: document.getElementById('image-preview-close-btn'),
+        attachmentStrip: document.getElementById('attachment-strip'),
+        documentStrip: document.getElementById('document-strip'),
+        chatPanel: document.getElementById('chat-panel'),
         summarizeChatBtn: document.getElementById('summarize-chat-btn'),
+        settingsBtn: document.getElementById('settings-btn'),
+        galleryBtn: document.getElementById('gallery-btn'),
+        galleryPanel: document.getElementById('gallery-panel'),
+        galleryScope: document.getElementById('gallery-scope'),
+        galleryCompareBtn: document.getElementById('gallery-compare-btn'),
+        galleryGrid: document.getElementById('gallery-grid'),
+        galleryCompare: document.getElementById('gallery-compare'),
+        settingsPanel: document.getElementById('settings-panel'),
+        settingsProviders: document.getElementById('settings-providers'),
+        settingsVoice: document.getElementById('settings-voice'),
+        settingsVoiceOptions: document.getElementById('settings-voice-options'),
+        settingsRate: document.getElementById('settings-rate'),
+        settingsRateValue: document.getElementById('settings-rate-value'),
+        settingsLanguage: document.getElementById('settings-language'),
+        settingsWakePhrase: document.getElementById('settings-wake-phrase'),
+        settingsSilence: document.getElementById('settings-silence'),
+        settingsPersona: document.getElementById('settings-persona'),
+        settingsPersonaNew: document.getElementById('settings-persona-new'),
+        settingsPersonaDelete: document.getElementById('settings-persona-delete'),
+        settingsPersonaName: document.getElementById('settings-persona-name'),
+        settingsPersonaInstruction: document.getElementById('settings-persona-instruction'),
+        settingsPersonaTemperature: document.getElementById('settings-persona-temperature'),
+        settingsPersonaTopP: document.getElementById('settings-persona-top-p'),
+        settingsPersonaMaxTokens: document.getElementById('settings-persona-max-tokens'),
+        settingsPersonaSafety: document.getElementById('settings-persona-safety'),
+        settingsPersonaVoice: document.getElementById('settings-persona-voice'),
+        settingsPersonaModel: document.getElementById('settings-persona-model'),
+        settingsPersonaImport: document.getElementById('settings-persona-import'),
+        settingsPersonaExport: document.getElementById('settings-persona-export'),
+        settingsPersonaFile: document.getElementById('settings-persona-file'),
+        commandSuggestions: document.getElementById('command-suggestions'),
+        newSessionBtn: document.getElementById('new-session-btn'),
+        sessionSearchInput: document.getElementById('session-search'),
+        sessionList: document.getElementById('session-list'),
         canvas: document.getElementById('three-canvas')
     };
 
     // --- Global References for API & 3D Scene ---
     const refs = {
         recognition: null,
+        abortController: null,
+        db: null,
+        searchPattern: null,
+        scrollToMatch: false,
         audioContext: new (window.AudioContext || window.webkitAudioContext)(),
         audioSource: null,
-        three: {
-            scene: null,
-            camera: null,
-            renderer: null,
-            core: null,
-            animateFrameId: null
+        micRequest: null,
+        micStream: null,
+        micSource: null,
+        micAnalyser: null,
+        visualCore: null
+    };
+
+    // --- Model Configuration ---
+
+    /**
+     * Default backend configuration. `providers` describes each backend the app
+     * can talk to, and `capabilities` picks which provider and model serve each
+     * feature. By default everything goes through `Server.js`, which keeps the
+     * API keys on the server. Any part of it can be overridden by defining
+     * `window.VISION_CONFIG` before this script is loaded.
+     */
+    const defaultConfig = {
+        providers: {
+            proxy: { type: 'proxy', baseUrl: '/api' },
+            gemini: { type: 'gemini', baseUrl: 'https://generativelanguage.googleapis.com/v1beta', apiKey: '' },
+            openai: { type: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: '' },
+            ollama: { type: 'ollama', baseUrl: 'http://localhost:11434' },
+            llamacpp: { type: 'openai', baseUrl: 'http://localhost:8080/v1', apiKey: '' },
+            mock: { type: 'mock', latency: 400 }
+        },
+        capabilities: {
+            chat: { provider: 'proxy', model: 'gemini-2.5-flash-preview-05-20' },
+            vision: { provider: 'proxy', model: 'gemini-2.5-flash-preview-05-20' },
+            image: { provider: 'proxy', model: 'imagen-3.0-generate-002' },
+            imageEdit: { provider: 'proxy', model: 'gemini-2.0-flash-preview-image-generation' },
+            summarize: { provider: 'proxy', model: 'gemini-2.5-flash-preview-05-20' },
+            tts: { provider: 'proxy', model: 'gemini-2.5-flash-preview-tts', voice: 'Kore' }
+        },
+        retry: {
+            maxRetries: 3,
+            baseDelay: 1000,
+            // Longest Retry-After wait honoured; a server asking for more fails at once.
+            maxRetryAfter: 60000
+        },
+        context: {
+            // Approximate token budget for the conversation sent with each request.
+            tokenBudget: 8000,
+            // Rough token cost charged for every image part.
+            imageTokens: 258
+        },
+        voice: {
+            // Speech recognition language (BCP 47).
+            language: 'en-US',
+            // Milliseconds of silence after which voice mode sends what it heard.
+            silenceTimeout: 1500,
+            // When set, voice mode only sends utterances that start with it, e.g. "Vision, ...".
+            wakePhrase: '',
+            // Recognition errors in a row (other than silence) after which voice mode turns itself off.
+            maxFailures: 5
+        },
+        images: {
+            maxCount: 4,
+            // Largest file accepted before resizing.
+            maxFileSize: 25 * 1024 * 1024,
+            // Longest side, in pixels, after resizing.
+            maxDimension: 1568,
+            // JPEG/WebP quality used when recompressing.
+            quality: 0.85,
+            // Largest image sent to a model after resizing.
+            maxUploadSize: 4 * 1024 * 1024
+        },
+        playback: {
+            // Speech speed multiplier.
+            rate: 1,
+            // Longest piece of text sent to the TTS provider in one request.
+            chunkSize: 400
+        },
+        tools: {
+            // Let the chat and vision models call the tools in the registry.
+            enabled: true,
+            // Answer tool calls with local stand-ins instead of the real tools.
+            // Always the case when chat runs on the mock provider.
+            useStubs: false,
+            // Most model turns in one reply, counting each round of tool calls.
+            maxSteps: 5,
+            // Where the web search and page fetching routes are (see Server.js).
+            baseUrl: '/api'
+        },
+        documents: {
+            // Most documents kept with one conversation.
+            maxCount: 10,
+            maxFileSize: 20 * 1024 * 1024,
+            // Longest chunk, in characters, that excerpts are picked from.
+            chunkSize: 1500,
+            // Rough token budget for the excerpts sent with each question.
+            contextTokens: 3000,
+            // pdf.js, loaded the first time a PDF is attached. Each file is checked against its
+            // Subresource Integrity hash, so a URL and its hash must be changed together.
+            pdfjsUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+            pdfjsIntegrity: 'sha512-q+4liFwdPC/bNdhUpZx6aXDx/h77yEQtn4I1slHydcbZK34nLaR3cAeYSJshoxIOq3mjEf7xJE8YWIUHMn+oCQ==',
+            pdfjsWorkerUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+            pdfjsWorkerIntegrity: 'sha512-BbrZ76UNZq5BhH7LL7pn9A4TKQpQeNCHOo65/akfelcIBbcVvYWOFQKPXIrykE3qZxYjmDX573oa4Ywsc7rpTw=='
+        }
+    };
+
+    /**
+     * Recursively merges plain objects from `source` into `target`.
+     * @param {object} target - The object to merge into.
+     * @param {object} source - The object whose values take precedence.
+     * @returns {object} - The merged target object.
+     */
+    const mergeDeep = (target, source) => {
+        Object.entries(source || {}).forEach(([key, value]) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                target[key] = mergeDeep(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    };
+
+    const SETTINGS_KEY = 'vision.settings';
+
+    /**
+     * Reads the settings the user saved from the settings panel.
+     * @returns {object} - Stored overrides, or an empty object.
+     */
+    const loadStoredSettings = () => {
+        try {
+            return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.error('Ignoring unreadable saved settings:', error);
+            return {};
         }
     };
 
+    const config = mergeDeep(mergeDeep(JSON.parse(JSON.stringify(defaultConfig)), window.VISION_CONFIG), loadStoredSettings());
+
     // --- Utility Functions ---
 
+    /**
+     * The usual file extension for an image type.
+     * @param {string} mimeType - E.g. "image/jpeg".
+     * @returns {string} - E.g. "jpg"; "png" for unknown types.
+     */
+    const imageExtension = (mimeType) => ({ 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif', 'image/bmp': 'bmp' }[mimeType] || 'png');
+
     /**
      * Converts a File object to a Base64 string.
      * @param {File} file - The file to convert.
@@ -121,378 +400,6185 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.chatHistoryDiv.scrollTop = elements.chatHistoryDiv.scrollHeight;
     };
 
+    // --- Markdown Rendering ---
+    // Messages are parsed into DOM nodes directly; model or user text is only
+    // ever inserted as text nodes, never through innerHTML.
+
     /**
-     * Highlights a search query within a text string.
-     * @param {string} text - The text to search within.
-     * @returns {string} - The text with the search query highlighted.
+     * Escapes a string for literal use inside a regular expression.
+     * @param {string} text - The raw text.
+     * @returns {string} - The escaped text.
      */
-    const highlightText = (text) => {
-        if (!state.searchQuery) return text;
-        const regex = new RegExp(`(${state.searchQuery})`, 'gi');
-        return text.split(regex).map((part) => {
-            if (part.toLowerCase() === state.searchQuery.toLowerCase()) {
-                return `<span class="bg-yellow-500 text-black rounded-sm px-1 font-bold">${part}</span>`;
-            }
-            return part;
-        }).join('');
+    const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    /**
+     * Creates an element with an optional class name and children.
+     * @param {string} tag - The tag name.
+     * @param {string} [className] - The class name.
+     * @param {Array<Node|string>} [children] - Child nodes; strings become text nodes.
+     * @returns {HTMLElement}
+     */
+    const el = (tag, className, children = []) => {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        node.append(...children);
+        return node;
     };
 
     /**
-     * Renders a message's content, handling markdown code blocks and highlighting.
-     * @param {string} text - The message text.
-     * @returns {string} - The HTML string for the message content.
+     * Returns the URL if it uses a safe scheme, otherwise null.
+     * @param {string} url - The link target.
+     * @returns {string|null}
      */
-    const renderMessageContent = (text) => {
-        const parts = text.split(/(```[\s\S]*?```)/g);
-        return parts.map((part) => {
-            if (part.startsWith('```') && part.endsWith('```')) {
-                const [lang, ...codeLines] = part.substring(3, part.length - 3).split('\n');
-                const code = codeLines.join('\n');
-                return `<pre><code>${code.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</code></pre>`;
-            }
-            const highlightedText = highlightText(part);
-            const p = document.createElement('p');
-            p.innerHTML = highlightedText;
-            return p.outerHTML;
-        }).join('');
+    const sanitizeUrl = (url) => {
+        try {
+            const parsed = new URL(url, window.location.href);
+            return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
     };
 
+    // Inline syntax, tried in order at each position: code, links, bold, strikethrough, italics.
+    const inlinePattern = /(`+)([\s\S]*?[^`])\1(?!`)|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|\*\*([\s\S]+?)\*\*|__([\s\S]+?)__|~~([\s\S]+?)~~|\*([^*\s][^*]*?)\*|\b_([^_\s][^_]*?)_\b/;
+
     /**
-     * Renders the entire chat history to the DOM.
+     * Parses inline Markdown into DOM nodes.
+     * @param {string} text - A single block's text.
+     * @returns {Array<Node>} - The parsed nodes.
      */
-    const renderChatHistory = () => {
-        const filteredHistory = state.chatHistory.filter(msg =>
-            msg.text.toLowerCase().includes(state.searchQuery.toLowerCase())
-        );
+    const renderInline = (text) => {
+        const nodes = [];
+        let rest = text;
+        let match;
+        while ((match = inlinePattern.exec(rest))) {
+            if (match.index > 0) nodes.push(document.createTextNode(rest.slice(0, match.index)));
+            const [whole, , code, linkText, linkUrl, bold, boldAlt, strike, italic, italicAlt] = match;
+            if (code !== undefined) {
+                nodes.push(el('code', 'inline-code', [code.trim()]));
+            } else if (linkText !== undefined) {
+                const href = sanitizeUrl(linkUrl);
+                if (href) {
+                    const link = el('a', null, renderInline(linkText));
+                    link.href = href;
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
+                    nodes.push(link);
+                } else {
+                    nodes.push(...renderInline(linkText));
+                }
+            } else if (bold !== undefined || boldAlt !== undefined) {
+                nodes.push(el('strong', null, renderInline(bold ?? boldAlt)));
+            } else if (strike !== undefined) {
+                nodes.push(el('del', null, renderInline(strike)));
+            } else {
+                nodes.push(el('em', null, renderInline(italic ?? italicAlt)));
+            }
+            rest = rest.slice(match.index + whole.length);
+        }
+        if (rest) nodes.push(document.createTextNode(rest));
+        return nodes;
+    };
 
-        elements.chatHistoryDiv.innerHTML = '';
-        if (filteredHistory.length === 0 && state.chatHistory.length === 0) {
-            elements.chatHistoryDiv.innerHTML = '<div class="welcome-message"><p>Welcome. I am VISION. Ask me anything.</p></div>';
-            return;
+    const highlightRules = {
+        keywords: {
+            js: 'async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield true false null undefined',
+            python: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield True False None self',
+            shell: 'if then else elif fi for while do done case esac function in return export local echo',
+            sql: 'select from where insert into values update set delete create table drop alter join left right inner outer on group by order having limit and or not null as distinct',
+            c: 'auto break case char const continue default do double else enum extern float for goto if int long register return short signed sizeof static struct switch typedef union unsigned void volatile while class public private protected new delete namespace template using true false nullptr fn let mut impl pub use mod match package func var type interface go defer chan map range'
+        },
+        aliases: {
+            javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', json: 'js', java: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', go: 'c', rust: 'c', rs: 'c', kotlin: 'c', swift: 'c', php: 'c',
+            py: 'python', rb: 'python', ruby: 'python', bash: 'shell', sh: 'shell', zsh: 'shell', yaml: 'shell', yml: 'shell', toml: 'shell'
         }
+    };
+
+    /**
+     * Applies lightweight syntax highlighting to a code block.
+     * @param {string} code - The source code.
+     * @param {string} lang - The fenced language tag.
+     * @returns {Array<Node>} - Text nodes and highlighted spans.
+     */
+    const highlightCode = (code, lang) => {
+        const family = highlightRules.aliases[lang] || lang;
+        const keywords = highlightRules.keywords[family];
+        if (!keywords) return [document.createTextNode(code)];
 
-        filteredHistory.forEach(msg => {
-            const messageDiv = document.createElement('div');
-            messageDiv.className = `chat-message ${msg.role}`;
-            const bubbleDiv = document.createElement('div');
-            bubbleDiv.className = `chat-bubble ${msg.role}`;
+        const hashComments = family === 'python' || family === 'shell';
+        const comment = hashComments ? '#.*' : family === 'sql' ? '--.*' : '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/';
+        const tokenPattern = new RegExp(`(${comment})|("(?:\\\\.|[^"\\\\])*"|'(?:\\\\.|[^'\\\\])*'|\`(?:\\\\.|[^\`\\\\])*\`)|\\b(\\d+(?:\\.\\d+)?)\\b|\\b(${keywords.split(' ').join('|')})\\b`, family === 'sql' ? 'gi' : 'g');
 
-            const username = document.createElement('p');
-            username.className = 'username';
-            username.textContent = msg.role === 'user' ? 'You' : 'VISION';
-            bubbleDiv.appendChild(username);
+        const nodes = [];
+        let lastIndex = 0;
+        code.replace(tokenPattern, (match, commentToken, stringToken, numberToken, keywordToken, offset) => {
+            if (offset > lastIndex) nodes.push(document.createTextNode(code.slice(lastIndex, offset)));
+            const kind = commentToken ? 'comment' : stringToken ? 'string' : numberToken ? 'number' : 'keyword';
+            nodes.push(el('span', `tok-${kind}`, [match]));
+            lastIndex = offset + match.length;
+            return match;
+        });
+        if (lastIndex < code.length) nodes.push(document.createTextNode(code.slice(lastIndex)));
+        return nodes;
+    };
+
+    /**
+     * Builds a fenced code block with a language label and a copy button.
+     * @param {string} code - The source code.
+     * @param {string} lang - The language tag, possibly empty.
+     * @returns {HTMLElement}
+     */
+    const renderCodeBlock = (code, lang) => {
+        const copyButton = el('button', 'code-copy-button', ['Copy']);
+        copyButton.type = 'button';
+        copyButton.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(code);
+                copyButton.textContent = 'Copied!';
+            } catch (error) {
+                copyButton.textContent = 'Copy failed';
+            }
+            setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+        });
+
+        const codeEl = el('code', lang ? `language-${lang}` : null, highlightCode(code, lang.toLowerCase()));
+        const header = el('div', 'code-block-header', [el('span', 'code-lang', [lang || 'text']), copyButton]);
+        return el('div', 'code-block', [header, el('pre', null, [codeEl])]);
+    };
+
+    /**
+     * Splits a Markdown table row into trimmed cell strings.
+     * @param {string} line - The table row.
+     * @returns {Array<string>}
+     */
+    const splitTableRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+    const blockPatterns = {
+        fence: /^\s*```\s*([\w+#.-]*)\s*$/,
+        heading: /^(#{1,6})\s+(.*)$/,
+        rule: /^\s*([-*_])(\s*\1){2,}\s*$/,
+        quote: /^\s*>\s?(.*)$/,
+        listItem: /^(\s*)([-*+]|\d+[.)])\s+(.*)$/,
+        tableDivider: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+    };
 
-            bubbleDiv.innerHTML += renderMessageContent(msg.text);
+    /**
+     * Parses block-level Markdown (headings, lists, tables, quotes, code
+     * fences, rules and paragraphs) into a fragment.
+     * @param {string} text - The Markdown source.
+     * @returns {DocumentFragment}
+     */
+    const renderMarkdown = (text) => {
+        const fragment = document.createDocumentFragment();
+        const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+        let i = 0;
 
-            if (msg.imageUrl) {
-                const img = document.createElement('img');
-                img.src = msg.imageUrl;
-                img.alt = msg.role === 'user' ? 'User-uploaded image' : 'Generated by VISION';
-                img.className = 'mt-2 rounded-xl w-full h-auto';
-                bubbleDiv.appendChild(img);
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (!line.trim()) {
+                i++;
+            } else if ((match = blockPatterns.fence.exec(line))) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+                    code.push(lines[i++]);
+                }
+                i++;
+                fragment.appendChild(renderCodeBlock(code.join('\n'), match[1]));
+            } else if ((match = blockPatterns.heading.exec(line))) {
+                fragment.appendChild(el(`h${match[1].length}`, 'md-heading', renderInline(match[2])));
+                i++;
+            } else if (blockPatterns.rule.test(line)) {
+                fragment.appendChild(el('hr'));
+                i++;
+            } else if (blockPatterns.quote.test(line)) {
+                const quoted = [];
+                while (i < lines.length && (match = blockPatterns.quote.exec(lines[i]))) {
+                    quoted.push(match[1]);
+                    i++;
+                }
+                fragment.appendChild(el('blockquote', null, [renderMarkdown(quoted.join('\n'))]));
+            } else if (line.includes('|') && i + 1 < lines.length && blockPatterns.tableDivider.test(lines[i + 1])) {
+                const headers = splitTableRow(line);
+                const head = el('thead', null, [el('tr', null, headers.map(cell => el('th', null, renderInline(cell))))]);
+                const body = el('tbody');
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    body.appendChild(el('tr', null, splitTableRow(lines[i]).map(cell => el('td', null, renderInline(cell)))));
+                    i++;
+                }
+                fragment.appendChild(el('div', 'table-wrapper', [el('table', null, [head, body])]));
+            } else if ((match = blockPatterns.listItem.exec(line))) {
+                const baseIndent = match[1].length;
+                const ordered = /\d/.test(match[2]);
+                const list = el(ordered ? 'ol' : 'ul');
+                if (ordered && parseInt(match[2], 10) !== 1) list.start = parseInt(match[2], 10);
+                while (i < lines.length) {
+                    const item = blockPatterns.listItem.exec(lines[i]);
+                    if (!item || item[1].length !== baseIndent) break;
+                    // Gather the item's own text plus any deeper-indented lines (nested lists, continuations).
+                    const contentIndent = baseIndent + item[2].length + 1;
+                    const body = [item[3]];
+                    i++;
+                    while (i < lines.length && lines[i].trim() && lines[i].search(/\S/) > baseIndent) {
+                        body.push(lines[i].slice(Math.min(contentIndent, lines[i].search(/\S/))));
+                        i++;
+                    }
+                    const li = el('li');
+                    const [first, ...nested] = body;
+                    li.append(...renderInline(first));
+                    if (nested.length) li.appendChild(renderMarkdown(nested.join('\n')));
+                    list.appendChild(li);
+                }
+                fragment.appendChild(list);
+            } else {
+                const paragraph = [];
+                while (i < lines.length && lines[i].trim() && !blockPatterns.fence.test(lines[i]) &&
+                    !blockPatterns.heading.test(lines[i]) && !blockPatterns.quote.test(lines[i]) &&
+                    !blockPatterns.listItem.test(lines[i]) && !blockPatterns.rule.test(lines[i])) {
+                    paragraph.push(lines[i++]);
+                }
+                const p = el('p');
+                paragraph.forEach((paragraphLine, index) => {
+                    if (index > 0) p.appendChild(el('br'));
+                    p.append(...renderInline(paragraphLine));
+                });
+                fragment.appendChild(p);
             }
+        }
+        return fragment;
+    };
+
+    /**
+     * Wraps search matches in `<mark>` elements. Only text nodes are touched,
+     * so markup and code highlighting stay intact.
+     * @param {Node} root - The rendered message content.
+     * @param {RegExp|null} pattern - A global search pattern.
+     */
+    const highlightTextNodes = (root, pattern) => {
+        if (!pattern) return;
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
 
-            messageDiv.appendChild(bubbleDiv);
-            elements.chatHistoryDiv.appendChild(messageDiv);
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const matches = [...text.matchAll(pattern)].filter(match => match[0]);
+            if (matches.length === 0) return;
+            const pieces = [];
+            let lastIndex = 0;
+            matches.forEach(match => {
+                if (match.index > lastIndex) pieces.push(document.createTextNode(text.slice(lastIndex, match.index)));
+                pieces.push(el('mark', 'search-highlight', [match[0]]));
+                lastIndex = match.index + match[0].length;
+            });
+            if (lastIndex < text.length) pieces.push(document.createTextNode(text.slice(lastIndex)));
+            node.replaceWith(...pieces);
         });
-        scrollToBottom();
     };
 
     /**
-     * Updates the UI based on the current application state.
+     * Renders a message's content as sanitized Markdown with search highlighting.
+     * @param {string} text - The message text.
+     * @param {RegExp|null} [searchPattern] - Matches to highlight.
+     * @returns {DocumentFragment} - The rendered content.
      */
-    const updateUI = () => {
-        const isDisabled = state.isLoading || (!state.inputValue.trim() && !state.uploadedImage);
-        elements.messageInput.disabled = state.isLoading;
-        elements.sendButton.disabled = isDisabled;
-        elements.imageUploadBtn.disabled = state.isLoading;
-        elements.micButton.disabled = state.isLoading;
-        elements.summarizeChatBtn.disabled = state.isLoading || state.chatHistory.length === 0;
+    const renderMessageContent = (text, searchPattern = null) => {
+        const content = renderMarkdown(text);
+        highlightTextNodes(content, searchPattern);
+        return content;
+    };
 
-        const placeholder = state.isListening ? "Listening..." : state.isLoading ? "Processing request..." : state.uploadedImage ? "Type a prompt for the image, or send directly..." : "Ask me anything...";
-        elements.messageInput.placeholder = placeholder;
+    // --- Chat Rendering ---
 
-        if (state.isListening) {
-            elements.micButton.classList.add('listening');
-            elements.micButton.classList.remove('default');
-        } else {
-            elements.micButton.classList.remove('listening');
-            elements.micButton.classList.add('default');
+    // How many of the latest messages are rendered at first. Older ones are
+    // added a window at a time as the user scrolls up.
+    const MESSAGE_WINDOW = 60;
+    // The most messages kept in the DOM; scrolling further unmounts the far end.
+    const MAX_RENDERED_MESSAGES = 3 * MESSAGE_WINDOW;
+    // Within this many pixels of the bottom counts as "at the bottom".
+    const BOTTOM_THRESHOLD = 48;
+
+    // What each rendered message looked like when its DOM node was built, so
+    // only messages that actually changed are rebuilt.
+    const renderedMessages = new WeakMap();
+
+    const chatView = {
+        // How many messages are rendered.
+        size: MESSAGE_WINDOW,
+        // The first rendered message, and the last one unless the latest is rendered (null).
+        first: null,
+        last: null
+    };
+
+    /**
+     * Creates a small button for the action bar under a message.
+     * @param {string} label - The button text.
+     * @param {string} title - The tooltip.
+     * @param {Function} onClick - The click handler.
+     * @returns {HTMLButtonElement}
+     */
+    const messageActionButton = (label, title, onClick) => {
+        const button = el('button', 'message-action', [label]);
+        button.type = 'button';
+        button.title = title;
+        button.disabled = state.isLoading;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    /**
+     * Builds the Retry and Dismiss buttons of an error bubble. Only the latest
+     * message can be retried, since later messages may have moved the
+     * conversation on.
+     * @param {object} msg - The error message.
+     * @returns {HTMLElement}
+     */
+    const renderErrorActions = (msg) => {
+        const retry = messageActionButton('Retry', "Send the request again", () => retryFailedRequest(msg));
+        retry.disabled = state.isLoading || state.chatHistory.at(-1) !== msg;
+        const dismiss = messageActionButton('Dismiss', "Hide this error", () => dismissError(msg));
+        dismiss.disabled = false;
+        return el('div', 'message-actions', [retry, dismiss]);
+    };
+
+    /**
+     * Builds the action bar under a message: the "< 2/3 >" switcher between
+     * versions, plus copy, pin, delete and, depending on the role, edit or
+     * regenerate and replay.
+     * @param {object} msg - The chat message.
+     * @returns {HTMLElement}
+     */
+    const renderMessageActions = (msg) => {
+        if (msg.error) return renderErrorActions(msg);
+        const actions = el('div', 'message-actions');
+        const siblings = childrenOf(msg.parentId);
+        if (siblings.length > 1) {
+            const index = siblings.indexOf(msg);
+            const prev = messageActionButton('<', "Previous version", () => showSibling(msg, -1));
+            const next = messageActionButton('>', "Next version", () => showSibling(msg, 1));
+            prev.disabled = state.isLoading || index === 0;
+            next.disabled = state.isLoading || index === siblings.length - 1;
+            actions.appendChild(el('span', 'message-versions', [prev, el('span', 'message-version-count', [`${index + 1}/${siblings.length}`]), next]));
         }
 
-        if (state.uploadedImage) {
-            elements.imagePreviewDiv.style.display = 'flex';
-            elements.imagePreviewImg.src = state.uploadedImage.dataUrl;
+        if (msg.role === 'user') {
+            actions.appendChild(messageActionButton('Edit', "Edit and resend as a new version", () => editMessage(msg)));
         } else {
-            elements.imagePreviewDiv.style.display = 'none';
+            const parent = state.messages.find(item => item.id === msg.parentId);
+            if (parent?.role === 'user') {
+                actions.appendChild(messageActionButton('Regenerate', "Ask for another version of this reply", () => regenerateReply(msg)));
+            }
+            if (msg.text) {
+                const replay = messageActionButton('Replay', "Read this reply aloud", () => ttsPlayer.replay(msg.text, { messageId: msg.id }));
+                replay.disabled = false;
+                actions.appendChild(replay);
+            }
         }
 
-        renderChatHistory();
+        if (msg.text) {
+            const copyButton = messageActionButton('Copy', "Copy the message text", async () => {
+                try {
+                    await navigator.clipboard.writeText(msg.text);
+                    copyButton.textContent = 'Copied!';
+                } catch (error) {
+                    copyButton.textContent = 'Copy failed';
+                }
+                setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+            });
+            copyButton.disabled = false;
+            actions.appendChild(copyButton);
+        }
+
+        const pinButton = messageActionButton(msg.isPinned ? 'Unpin' : 'Pin', msg.isPinned ? "Remove from the pinned list" : "Keep this message in the pinned list", () => togglePin(msg));
+        pinButton.disabled = false;
+        actions.appendChild(pinButton);
+        actions.appendChild(messageActionButton('Delete', "Delete this message and what follows it", () => deleteMessage(msg)));
+        return actions;
+    };
+
+    /**
+     * Builds the image grid of a message.
+     * @param {object} msg - The chat message.
+     * @returns {HTMLElement|null}
+     */
+    const renderMessageImages = (msg) => {
+        if (!msg.imageUrls.length) return null;
+        const images = el('div', `message-images${msg.imageUrls.length > 1 ? ' multiple' : ''}`);
+        msg.imageUrls.forEach(url => {
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = msg.role === 'user' ? 'User-uploaded image' : 'Generated by VISION';
+            img.className = 'mt-2 rounded-xl w-full h-auto';
+            images.appendChild(img);
+        });
+        return images;
+    };
+
+    /**
+     * Builds the collapsible "used tool" blocks of a reply, one per tool call,
+     * showing what the model asked for and what came back.
+     * @param {object} msg - The chat message.
+     * @returns {HTMLElement|null}
+     */
+    const renderToolCalls = (msg) => {
+        if (!msg.toolCalls.length) return null;
+        return el('div', 'tool-calls', msg.toolCalls.map(call => {
+            const label = call.status === 'running' ? `Using ${call.name}...` : `Used ${call.name}${call.status === 'error' ? " (failed)" : ''}`;
+            const details = el('details', `tool-call ${call.status}`, [
+                el('summary', null, [label]),
+                el('p', 'tool-call-heading', ["Input"]),
+                el('pre', null, [JSON.stringify(call.args, null, 2)]),
+                ...(call.result ? [el('p', 'tool-call-heading', ["Output"]), el('pre', null, [JSON.stringify(call.result, null, 2)])] : [])
+            ]);
+            details.dataset.toolCallId = call.id;
+            return details;
+        }));
     };
 
     /**
-     * Fetches and plays audio from the Gemini TTS API.
-     * @param {string} text - The text to be spoken.
+     * How a source is named in a reply's source list: a page title, or a
+     * document with the page, section, lines or rows the excerpt came from.
+     * @param {{title?: string, url?: string, location?: string}} source - A citation.
+     * @returns {string}
      */
-    const fetchAndPlayGeminiTTS = async (text) => {
-        const payload = {
-            contents: [{ parts: [{ text: text }] }],
-            generationConfig: {
-                responseModalities: ["AUDIO"],
-                speechConfig: {
-                    voiceConfig: { prebuiltVoiceConfig: { voiceName: "Kore" } }
+    const citationLabel = (source) => (source.location ? `${source.title}, ${source.location}` : source.title || source.url);
+
+    /**
+     * Builds the numbered list of sources a reply's tools and the attached
+     * documents provided. The numbers match the [n] markers the model was
+     * asked to cite them with.
+     * @param {object} msg - The chat message.
+     * @returns {HTMLElement|null}
+     */
+    const renderCitations = (msg) => {
+        if (!msg.citations.length) return null;
+        return el('div', 'message-sources', [
+            el('p', 'message-sources-heading', ["Sources"]),
+            el('ol', 'message-citations', msg.citations.map((source, index) => {
+                const href = source.url && sanitizeUrl(source.url);
+                const link = el(href ? 'a' : 'span', null, [citationLabel(source)]);
+                if (href) {
+                    link.href = href;
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
                 }
-            }
-        };
-        try {
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-tts:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            const result = await response.json();
-            const part = result?.candidates?.[0]?.content?.parts?.[0];
-            const audioData = part?.inlineData?.data;
-            const mimeType = part?.inlineData?.mimeType;
-
-            if (audioData && mimeType && mimeType.startsWith("audio/")) {
-                const sampleRate = parseInt(mimeType.match(/rate=(\d+)/)[1], 10);
-                const pcmData = base64ToArrayBuffer(audioData);
-                const pcm16 = new Int16Array(pcmData);
-                const wavBlob = pcmToWav(pcm16, sampleRate);
-                const audioUrl = URL.createObjectURL(wavBlob);
-                const audio = new Audio(audioUrl);
-                audio.play();
-            } else {
-                console.error("Gemini TTS API response missing audio data.");
-            }
-        } catch (error) {
-            console.error("Error calling Gemini TTS API:", error);
-        }
+                const item = el('li', null, [link, ...(source.snippet ? [el('span', 'citation-snippet', [source.snippet])] : [])]);
+                item.value = source.citation || index + 1;
+                return item;
+            }))
+        ]);
     };
 
-    // --- Core Logic ---
+    /**
+     * The state of a message's action bar, which changes when a request
+     * starts or ends, when a sibling version is added or removed, and when
+     * an error stops being the latest message.
+     * @param {object} msg - The chat message.
+     * @returns {string}
+     */
+    const messageActionsKey = (msg) => {
+        const siblings = childrenOf(msg.parentId);
+        return `${state.isLoading}|${siblings.indexOf(msg)}/${siblings.length}|${Boolean(msg.error) && state.chatHistory.at(-1) === msg}`;
+    };
 
     /**
-     * Initializes the Three.js scene for the animated core.
+     * Creates the DOM element for a single chat message.
+     * @param {object} msg - The chat message.
+     * @param {HTMLElement|null} [images] - An already rendered image grid to reuse.
+     * @returns {HTMLElement}
      */
-    const useThreeScene = () => {
-        const canvas = elements.canvas;
-        const three = refs.three;
+    const createMessageElement = (msg, images = renderMessageImages(msg)) => {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `chat-message ${msg.role}`;
+        messageDiv.dataset.messageId = msg.id;
+        const bubbleDiv = document.createElement('div');
+        bubbleDiv.className = `chat-bubble ${msg.role}`;
 
-        three.scene = new THREE.Scene();
-        three.camera = new THREE.PerspectiveCamera(75, canvas.clientWidth / canvas.clientHeight, 0.1, 1000);
-        three.renderer = new THREE.WebGLRenderer({ canvas, alpha: true });
-        three.renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+        const username = document.createElement('p');
+        username.className = 'username';
+        username.textContent = msg.role === 'user' ? 'You' : 'VISION';
+        bubbleDiv.appendChild(username);
 
-        const geometry = new THREE.IcosahedronGeometry(1.2, 1);
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x4B0082,
-            emissive: 0x8A2BE2,
-            specular: 0x9370DB,
-            shininess: 30,
-            flatShading: false
-        });
-        three.core = new THREE.Mesh(geometry, material);
-        three.scene.add(three.core);
+        const toolCalls = renderToolCalls(msg);
+        if (toolCalls) {
+            bubbleDiv.appendChild(toolCalls);
+        }
 
-        const ambientLight = new THREE.AmbientLight(0x404040, 1);
-        const pointLight = new THREE.PointLight(0xffffff, 1);
-        pointLight.position.set(5, 5, 5);
-        three.scene.add(ambientLight);
-        three.scene.add(pointLight);
-
-        three.camera.position.z = 3;
-
-        const animate = () => {
-            three.animateFrameId = requestAnimationFrame(animate);
-
-            if (state.isListening) {
-                three.core.rotation.x += 0.05;
-                three.core.rotation.y += 0.05;
-                material.emissiveIntensity = 2;
-            } else if (state.isLoading) {
-                three.core.rotation.x += 0.02;
-                three.core.rotation.y += 0.02;
-                material.emissiveIntensity = 1.5;
-            } else {
-                three.core.rotation.x += 0.005;
-                three.core.rotation.y += 0.005;
-                material.emissiveIntensity = 1;
-            }
+        const pattern = searchPatternFor(msg);
+        bubbleDiv.appendChild(renderMessageContent(msg.text, pattern));
 
-            three.renderer.render(three.scene, three.camera);
-        };
+        const citations = renderCitations(msg);
+        if (citations) {
+            bubbleDiv.appendChild(citations);
+        }
 
-        const handleResize = () => {
-            three.camera.aspect = canvas.clientWidth / canvas.clientHeight;
-            three.camera.updateProjectionMatrix();
-            three.renderer.setSize(canvas.clientWidth, canvas.clientHeight);
-        };
+        if (msg.isStreaming) {
+            bubbleDiv.classList.add('streaming');
+        }
 
-        window.addEventListener('resize', handleResize);
-        animate();
+        if (images) {
+            bubbleDiv.appendChild(images);
+        }
+
+        if (msg.isPinned) {
+            messageDiv.classList.add('pinned');
+            username.appendChild(el('span', 'pinned-badge', ['Pinned']));
+        }
+
+        if (msg.error) {
+            messageDiv.classList.add('error');
+            username.appendChild(el('span', 'error-label', [msg.error.label]));
+            bubbleDiv.appendChild(el('p', 'error-detail', [msg.error.detail]));
+        }
+
+        if (!msg.isStreaming && (!msg.isStatus || msg.error)) {
+            bubbleDiv.appendChild(renderMessageActions(msg));
+        }
+
+        messageDiv.appendChild(bubbleDiv);
+        renderedMessages.set(msg, {
+            element: messageDiv,
+            images,
+            text: msg.text,
+            isStreaming: msg.isStreaming,
+            isPinned: msg.isPinned,
+            toolCalls: msg.toolCalls,
+            citations: msg.citations,
+            pattern,
+            actionsKey: messageActionsKey(msg)
+        });
+        return messageDiv;
     };
 
     /**
-     * Toggles speech recognition on and off.
+     * The DOM element for a message, rebuilt only if the message, its search
+     * highlighting or its action bar changed since it was last rendered.
+     * Images are never rebuilt, so they are not decoded again.
+     * @param {object} msg - The chat message.
+     * @returns {HTMLElement}
      */
-    const handleVoiceToggle = () => {
-        if (refs.recognition) {
-            if (state.isListening) {
-                refs.recognition.stop();
-            } else {
-                refs.recognition.start();
-            }
+    const getMessageElement = (msg) => {
+        const rendered = renderedMessages.get(msg);
+        if (!rendered) return createMessageElement(msg);
+        const { element, images, text, isStreaming, isPinned, toolCalls, citations, pattern, actionsKey } = rendered;
+        if (text !== msg.text || isStreaming !== msg.isStreaming || isPinned !== msg.isPinned || toolCalls !== msg.toolCalls
+            || citations !== msg.citations || pattern !== searchPatternFor(msg)) {
+            const replacement = createMessageElement(msg, images);
+            // "Used tool" blocks the user opened stay open.
+            const openToolCalls = new Set([...element.querySelectorAll('details.tool-call[open]')].map(details => details.dataset.toolCallId));
+            replacement.querySelectorAll('details.tool-call').forEach(details => {
+                if (openToolCalls.has(details.dataset.toolCallId)) details.open = true;
+            });
+            if (element.isConnected) element.replaceWith(replacement);
+            return replacement;
         }
+        const nextActionsKey = messageActionsKey(msg);
+        if (actionsKey !== nextActionsKey) {
+            element.querySelector('.message-actions')?.replaceWith(renderMessageActions(msg));
+            rendered.actionsKey = nextActionsKey;
+        }
+        return element;
     };
 
     /**
-     * Handles the summarization of the chat history via the Gemini API.
+     * Whether the chat is scrolled to (or very near) the bottom.
+     * @returns {boolean}
      */
-    const handleSummarizeChat = async () => {
-        if (state.chatHistory.length === 0) {
-            alert("No messages to summarize!");
-            return;
-        }
-        state.isLoading = true;
-        updateUI();
-        const chatText = state.chatHistory.map(msg => `${msg.role === 'user' ? 'User' : 'VISION'}: ${msg.text}`).join('\n');
-        const prompt = `Please provide a concise summary of the following conversation:\n\n${chatText}\n\nSummary:`;
+    const isNearBottom = () => {
+        const container = elements.chatHistoryDiv;
+        return container.scrollHeight - container.scrollTop - container.clientHeight <= BOTTOM_THRESHOLD;
+    };
 
-        let retryCount = 0;
-        const maxRetries = 3;
-        const baseDelay = 1000;
+    /**
+     * Shows the "Jump to latest" pill whenever the user has scrolled away from the bottom.
+     */
+    const renderJumpToLatest = () => {
+        elements.jumpToLatestBtn.style.display = state.chatHistory.length && (chatView.last || !isNearBottom()) ? '' : 'none';
+    };
 
-        const chatHistoryPayload = [{ role: "user", parts: [{ text: prompt }] }];
-        const payload = { contents: chatHistoryPayload };
-        const apiKey = "";
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
+    /**
+     * Keeps the newest message in view if the user was already at the bottom;
+     * otherwise leaves the scroll position alone.
+     * @param {boolean} wasAtBottom - Whether the chat was at the bottom before the DOM changed.
+     */
+    const followLatest = (wasAtBottom) => {
+        if (wasAtBottom) scrollToBottom();
+        renderJumpToLatest();
+    };
 
-        while (retryCount < maxRetries) {
-            try {
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
-                });
-                if (!response.ok) {
-                    throw new Error(`API error: ${response.status} ${response.statusText}`);
-                }
-                const result = await response.json();
-                const summaryText = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-                if (summaryText) {
-                    state.chatHistory.push({ role: "vision", text: `Here is a summary of our conversation:\n\n${summaryText}` });
-                    fetchAndPlayGeminiTTS("Here is a summary of our conversation.");
-                } else {
-                    const errorMessage = "Sorry, I couldn't summarize the conversation.";
-                    state.chatHistory.push({ role: "vision", text: errorMessage });
-                    fetchAndPlayGeminiTTS(errorMessage);
-                }
-                break;
-            } catch (error) {
-                console.error('Summarization API call failed:', error);
-                retryCount++;
-                if (retryCount < maxRetries) {
-                    const delay = baseDelay * Math.pow(2, retryCount);
-                    await new Promise(res => setTimeout(res, delay));
-                } else {
-                    const errorMessage = "I'm sorry, I am currently unable to summarize the conversation. Please try again later.";
-                    state.chatHistory.push({ role: "vision", text: errorMessage });
-                    fetchAndPlayGeminiTTS(errorMessage);
-                }
-            } finally {
-                state.isLoading = false;
-                updateUI();
-            }
+    /**
+     * Re-renders one message in place, e.g. while a reply is streaming in.
+     * @param {object} msg - The chat message that changed.
+     */
+    const updateMessageElement = (msg) => {
+        const rendered = renderedMessages.get(msg);
+        if (!rendered) return;
+        if (!rendered.element.isConnected) {
+            // Off-screen messages are rebuilt when they are next shown.
+            renderedMessages.delete(msg);
+            return;
         }
+        const wasAtBottom = isNearBottom();
+        getMessageElement(msg);
+        followLatest(wasAtBottom);
     };
 
     /**
-     * Sends a message to the Gemini API and handles the response.
-     * @param {string} message - The user's message.
+     * Which messages are rendered. While the latest message is rendered, the
+     * window slides forward with new messages if the user is at the bottom
+     * and stays put while they are reading further up. It never holds more
+     * than `MAX_RENDERED_MESSAGES`.
+     * @param {Array<object>} history - The branch being shown.
+     * @param {boolean} wasAtBottom - Whether the chat was at the bottom.
+     * @returns {{start: number, end: number}} - The rendered slice of `history`.
      */
-    const sendMessage = async (message) => {
-        if (!message.trim() && !state.uploadedImage) return;
+    const renderedWindow = (history, wasAtBottom) => {
+        const lastIndex = history.indexOf(chatView.last);
+        if (lastIndex === -1) chatView.last = null;
+        const end = chatView.last ? lastIndex + 1 : history.length;
+        const firstIndex = history.indexOf(chatView.first);
+        const isSliding = wasAtBottom && !chatView.last;
+        const start = firstIndex !== -1 && firstIndex < end && !isSliding ? firstIndex : end - Math.max(chatView.size, MESSAGE_WINDOW);
+        return { start: Math.max(start, end - MAX_RENDERED_MESSAGES, 0), end };
+    };
 
-        refs.audioContext.suspend();
+    /**
+     * Sets which messages of the shown branch are rendered next.
+     * @param {number} start - Index of the first rendered message.
+     * @param {number} end - Index after the last rendered message.
+     */
+    const setChatWindow = (start, end) => {
+        const history = state.chatHistory;
+        chatView.first = history[start] || null;
+        chatView.last = end < history.length ? history[end - 1] : null;
+        chatView.size = end - start;
+    };
 
-        state.chatHistory.push({ role: "user", text: message, imageUrl: state.uploadedImage?.dataUrl });
-        state.inputValue = '';
-        elements.messageInput.value = '';
-        state.isLoading = true;
-        updateUI();
+    /**
+     * Moves the rendered window to a message, centred on it, unless it is
+     * rendered already.
+     * @param {number} index - The message's index on the shown branch.
+     * @returns {boolean} - True if the window moved.
+     */
+    const moveChatWindowTo = (index) => {
+        const { start, end } = renderedWindow(state.chatHistory, false);
+        if (index >= start && index < end) return false;
+        const length = state.chatHistory.length;
+        const newStart = Math.max(Math.min(index - MESSAGE_WINDOW / 2, length - MESSAGE_WINDOW), 0);
+        setChatWindow(newStart, Math.min(newStart + MESSAGE_WINDOW, length));
+        return true;
+    };
 
-        const imagePromptPrefix = "generate an image of";
-        let retryCount = 0;
-        const maxRetries = 3;
-        const baseDelay = 1000;
+    /**
+     * Brings the chat DOM in line with the branch being shown, reusing the
+     * nodes of messages that are already rendered. Only a window of the
+     * branch is rendered; buttons above and below it load more as the user
+     * scrolls.
+     */
+    const renderChatHistory = () => {
+        const container = elements.chatHistoryDiv;
+        const history = state.chatHistory;
+        if (history.length === 0) {
+            if (!container.querySelector('.welcome-message')) {
+                container.innerHTML = '<div class="welcome-message"><p>Welcome. I am VISION. Ask me anything.</p></div>';
+            }
+            chatView.first = null;
+            chatView.last = null;
+            updateSearchMatches();
+            renderJumpToLatest();
+            return;
+        }
 
-        if (state.uploadedImage) {
-            state.chatHistory.push({ role: "vision", text: `Analyzing the image provided...` });
-            updateUI();
-            const base64Data = await fileToBase64(state.uploadedImage.file);
-            const mimeType = state.uploadedImage.file.type;
-            state.uploadedImage = null;
-
-            const userPrompt = message.trim() || "What is in this image?";
-            const chatHistoryPayload = {
-                contents: [
-                    {
-                        role: "user",
-                        parts: [
-                            { text: userPrompt },
-                            {
-                                inlineData: {
-                                    mimeType: mimeType,
-                                    data: base64Data
-                                }
-                            }
-                        ]
-                    }
-                ]
-            };
+        const wasAtBottom = isNearBottom();
+        const { start, end } = renderedWindow(history, wasAtBottom);
+        setChatWindow(start, end);
 
-            while (retryCount < maxRetries) {
-                try {
-                    const apiKey = "";
-                    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-                    const response = await fetch(apiUrl, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(chatHistoryPayload)
-                    });
-                    const result = await response.json();
-                    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-                    if (text) {
-                        state.chatHistory.push({ role: "vision", text: text });
-                        fetchAndPlayGeminiTTS(text);
-                    } else {
-                        const errorMessage = "Sorry, I couldn't analyze the image. The API returned an unexpected format.";
-                        state.chatHistory.push({ role: "vision", text: errorMessage });
-                        fetchAndPlayGeminiTTS(errorMessage);
-                    }
-                    break;
-                } catch (error) {
-                    console.error('Image analysis API call failed:', error);
-                    retryCount++;
-                    if (retryCount < maxRetries) {
-                        const delay = baseDelay * Math.pow(2, retryCount);
-                        await new Promise(res => setTimeout(res, delay));
-                    } else {
-                        const errorMessage = "I am unable to analyze the image at this time. Please try again later.";
-                        state.chatHistory.push({ role: "vision", text: errorMessage });
-                        fetchAndPlayGeminiTTS(errorMessage);
-                    }
-                } finally {
-                    state.isLoading = false;
-                    updateUI();
-                }
-            }
-        } else if (message.toLowerCase().startsWith(imagePromptPrefix)) {
-            const imagePrompt = message.substring(imagePromptPrefix.length).trim();
-            state.chatHistory.push({ role: "vision", text: `Generating an image of: "${imagePrompt}"...` });
-            updateUI();
+        const nodes = history.slice(start, end).map(getMessageElement);
+        if (start > 0) {
+            loadEarlierButton.textContent = `Show earlier messages (${start} more)`;
+            nodes.unshift(loadEarlierButton);
+        }
+        if (end < history.length) {
+            loadLaterButton.textContent = `Show later messages (${history.length - end} more)`;
+            nodes.push(loadLaterButton);
+        }
+        nodes.forEach((node, index) => {
+            if (container.children[index] !== node) container.insertBefore(node, container.children[index] || null);
+        });
+        while (container.children.length > nodes.length) {
+            container.lastElementChild.remove();
+        }
+
+        if (!updateSearchMatches()) {
+            followLatest(wasAtBottom && !chatView.last);
+        }
+    };
+
+    /**
+     * Re-renders the chat after the window moved, keeping a message that is
+     * rendered before and after at the same place on screen.
+     * @param {object} anchor - The message to keep in place.
+     */
+    const renderKeepingInPlace = (anchor) => {
+        const container = elements.chatHistoryDiv;
+        const top = renderedMessages.get(anchor)?.element.getBoundingClientRect().top;
+        renderChatHistory();
+        const element = renderedMessages.get(anchor)?.element;
+        if (top !== undefined && element?.isConnected) {
+            container.scrollTop += element.getBoundingClientRect().top - top;
+        }
+        renderJumpToLatest();
+    };
+
+    /**
+     * Renders another window of older messages above the current ones,
+     * unmounting the newest ones if the window gets too large.
+     */
+    const showEarlierMessages = () => {
+        const { start, end } = renderedWindow(state.chatHistory, false);
+        const newStart = Math.max(start - MESSAGE_WINDOW, 0);
+        setChatWindow(newStart, Math.min(end, newStart + MAX_RENDERED_MESSAGES));
+        renderKeepingInPlace(state.chatHistory[start]);
+    };
+
+    /**
+     * Renders another window of newer messages below the current ones,
+     * unmounting the oldest ones if the window gets too large.
+     */
+    const showLaterMessages = () => {
+        const { start, end } = renderedWindow(state.chatHistory, false);
+        const newEnd = Math.min(end + MESSAGE_WINDOW, state.chatHistory.length);
+        setChatWindow(Math.max(start, newEnd - MAX_RENDERED_MESSAGES), newEnd);
+        renderKeepingInPlace(state.chatHistory[end - 1]);
+    };
+
+    /**
+     * Scrolls to the newest message and shrinks the rendered window back to
+     * its default size.
+     */
+    const jumpToLatest = () => {
+        chatView.size = MESSAGE_WINDOW;
+        chatView.first = null;
+        chatView.last = null;
+        scrollToBottom();
+        renderChatHistory();
+    };
+
+    /**
+     * Makes sure a message on the shown branch is rendered, then scrolls to it.
+     * @param {object} msg - The message.
+     */
+    const revealMessage = (msg) => {
+        const index = state.chatHistory.indexOf(msg);
+        if (index === -1) return;
+        if (moveChatWindowTo(index)) renderChatHistory();
+        renderedMessages.get(msg)?.element.scrollIntoView({ block: 'center' });
+        renderJumpToLatest();
+    };
+
+    const loadEarlierButton = el('button', 'load-earlier');
+    loadEarlierButton.type = 'button';
+    loadEarlierButton.addEventListener('click', showEarlierMessages);
+    const loadLaterButton = el('button', 'load-earlier load-later');
+    loadLaterButton.type = 'button';
+    loadLaterButton.addEventListener('click', showLaterMessages);
+    if (window.IntersectionObserver) {
+        // Load more messages as soon as either button scrolls into view.
+        const observer = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                if (entry.target === loadEarlierButton) showEarlierMessages();
+                else showLaterMessages();
+            });
+        }, { root: elements.chatHistoryDiv });
+        observer.observe(loadEarlierButton);
+        observer.observe(loadLaterButton);
+    }
+
+    store.subscribe(({ keys, messages }) => {
+        messages.forEach(updateMessageElement);
+        if (keys.has('chatHistory') || keys.has('messages') || keys.has('isLoading')) {
+            renderChatHistory();
+        }
+    });
+
+    /**
+     * Updates the controls around the chat from the current application
+     * state. The chat itself is re-rendered by the store subscription above.
+     */
+    const updateUI = () => {
+        const isDisabled = state.isLoading || (!state.inputValue.trim() && !state.attachments.length);
+        elements.messageInput.disabled = state.isLoading;
+        elements.sendButton.disabled = isDisabled;
+        elements.imageUploadBtn.disabled = state.isLoading;
+        elements.micButton.disabled = state.isLoading && !state.isVoiceMode;
+        elements.sendButton.style.display = refs.abortController ? 'none' : '';
+        elements.stopButton.style.display = refs.abortController ? '' : 'none';
+        elements.summarizeChatBtn.disabled = state.isLoading || state.chatHistory.length === 0;
+        elements.galleryPanel.classList.toggle('is-loading', state.isLoading);
+
+        const placeholder = state.isListening ? "Listening..." : state.isLoading ? "Processing request..." : !navigator.onLine ? "You're offline. Messages will be sent when the connection returns." : state.attachments.length ? "Type a prompt for the images, or send directly..." : state.documents.some(doc => !doc.isReading) ? "Ask about your documents, or anything else... (type / for commands)" : "Ask me anything... (type / for commands)";
+        elements.messageInput.placeholder = placeholder;
+        renderVoiceStatus();
+
+        elements.micButton.setAttribute('aria-pressed', String(state.isVoiceMode));
+        if (state.isListening) {
+            elements.micButton.classList.add('listening');
+            elements.micButton.classList.remove('default');
+        } else {
+            elements.micButton.classList.remove('listening');
+            elements.micButton.classList.add('default');
+        }
+
+        renderPersonaPicker();
+        renderAttachments();
+        renderDocuments();
+        renderOfflineQueue();
+        renderPinnedMessages();
+        syncCoreState();
+    };
+
+    // --- Conversation Search ---
+
+    const MAX_SEARCH_PATTERN_LENGTH = 200;
+    const SEARCH_DEBOUNCE_MS = 150;
+
+    /**
+     * Whether a regex repeats a group that itself contains a repetition or an
+     * alternation, like `(a+)+`, `(?:\w*,)*` or `(a|a)*`. Such patterns can
+     * backtrack for so long on a near miss that the tab freezes.
+     * @param {string} source - The regex source.
+     * @returns {boolean}
+     */
+    const hasAmbiguousRepetition = (source) => {
+        const isQuantifierAt = (index) => source[index] === '*' || source[index] === '+' || /^\{\d+,\d*\}/.test(source.slice(index));
+        // Whether each open group (the outermost being the whole pattern) contains a quantifier or `|` so far.
+        const groups = [false];
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '[') {
+                for (i++; i < source.length && source[i] !== ']'; i++) {
+                    if (source[i] === '\\') i++;
+                }
+            } else if (char === '(') {
+                groups.push(false);
+            } else if (char === ')' && groups.length > 1) {
+                const isAmbiguous = groups.pop();
+                if (isAmbiguous && isQuantifierAt(i + 1)) return true;
+                groups[groups.length - 1] = groups[groups.length - 1] || isAmbiguous;
+            } else if (char === '|' || isQuantifierAt(i)) {
+                groups[groups.length - 1] = true;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Builds the search pattern from the current search options. Regex mode
+     * rejects invalid patterns, overlong ones, ones that repeat a group with
+     * repetition or alternation inside and ones that can match empty text.
+     * @param {object} search - `state.search`.
+     * @returns {RegExp|null} - The global pattern, or null for an empty query.
+     */
+    const buildSearchPattern = (search) => {
+        if (!search.query) return null;
+        if (search.regex && search.query.length > MAX_SEARCH_PATTERN_LENGTH) {
+            throw new SyntaxError(`Pattern is longer than ${MAX_SEARCH_PATTERN_LENGTH} characters`);
+        }
+        if (search.regex && hasAmbiguousRepetition(search.query)) {
+            throw new SyntaxError('Repeating a group with repetition or alternation, like (a+)+ or (a|b)*, is too slow to search with');
+        }
+        let source = search.regex ? search.query : escapeRegExp(search.query);
+        if (search.wholeWord) source = `\\b(?:${source})\\b`;
+        const pattern = new RegExp(source, search.caseSensitive ? 'g' : 'gi');
+        if (pattern.test('')) {
+            throw new SyntaxError('Pattern matches empty text');
+        }
+        pattern.lastIndex = 0;
+        return pattern;
+    };
+
+    /**
+     * Whether a message passes the role, image and date filters.
+     * @param {{role: string, createdAt: number, imageBlobs?: Array<Blob>, images?: Array<Blob>, image?: Blob}} msg - A message or stored record.
+     * @returns {boolean}
+     */
+    const messageMatchesFilters = (msg) => {
+        const { role, imagesOnly, from, to } = state.search;
+        if (role !== 'all' && msg.role !== role) return false;
+        if (imagesOnly && !(msg.imageBlobs?.length || msg.images?.length || msg.image)) return false;
+        if (from && msg.createdAt < new Date(`${from}T00:00:00`).getTime()) return false;
+        if (to && msg.createdAt > new Date(`${to}T23:59:59.999`).getTime()) return false;
+        return true;
+    };
+
+    /**
+     * The pattern to highlight inside one message, or null if it is filtered out.
+     * @param {object} msg - The chat message.
+     * @returns {RegExp|null}
+     */
+    const searchPatternFor = (msg) => (refs.searchPattern && messageMatchesFilters(msg) ? refs.searchPattern : null);
+
+    // How many matches each message's rendered text has, per search pattern.
+    const searchMatchCounts = new WeakMap();
+
+    /**
+     * How many search highlights a message gets. It is counted on the
+     * rendered text, so it agrees with the marks of messages in the DOM, but
+     * works for messages outside the rendered window too.
+     * @param {object} msg - The chat message.
+     * @returns {number}
+     */
+    const countSearchMatches = (msg) => {
+        const pattern = searchPatternFor(msg);
+        if (!pattern) return 0;
+        const cached = searchMatchCounts.get(msg);
+        if (cached?.text === msg.text && cached.pattern === pattern) return cached.count;
+        const count = renderMessageContent(msg.text, pattern).querySelectorAll('mark.search-highlight').length;
+        searchMatchCounts.set(msg, { text: msg.text, pattern, count });
+        return count;
+    };
+
+    /**
+     * Marks the current match, updates the "n of m" counter and, after a
+     * search or navigation, scrolls the current match into view, moving the
+     * rendered window to it first if needed. Matches are counted over the
+     * whole branch, not just the rendered messages.
+     * @returns {boolean} - True if it scrolled to a match.
+     */
+    const updateSearchMatches = () => {
+        const search = state.search;
+        const history = state.chatHistory;
+        const counts = history.map(countSearchMatches);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+
+        if (search.pendingMessageId) {
+            const index = history.findIndex(msg => msg.id === search.pendingMessageId);
+            search.matchIndex = counts.slice(0, Math.max(index, 0)).reduce((sum, count) => sum + count, 0);
+            search.pendingMessageId = null;
+        }
+        if (search.matchIndex >= total) search.matchIndex = 0;
+
+        // The message holding the current match, and which of its matches it is.
+        let messageIndex = 0;
+        let offset = search.matchIndex;
+        while (messageIndex < counts.length && offset >= counts[messageIndex]) {
+            offset -= counts[messageIndex];
+            messageIndex++;
+        }
+        const current = total ? renderedMessages.get(history[messageIndex])?.element.querySelectorAll('mark.search-highlight')[offset] : null;
+
+        elements.chatHistoryDiv.querySelectorAll('mark.search-highlight').forEach(mark => mark.classList.toggle('current', mark === current));
+        elements.searchCounter.textContent = search.error || (search.query ? (total ? `${search.matchIndex + 1} of ${total}` : 'No matches') : '');
+        elements.searchPrevBtn.disabled = total < 2;
+        elements.searchNextBtn.disabled = total < 2;
+
+        if (refs.scrollToMatch && total) {
+            if (moveChatWindowTo(messageIndex)) {
+                renderChatHistory();
+                return true;
+            }
+            refs.scrollToMatch = false;
+            current?.scrollIntoView({ block: 'center' });
+            return true;
+        }
+        refs.scrollToMatch = false;
+        return false;
+    };
+
+    /**
+     * Moves to the next or previous match, wrapping around.
+     * @param {number} step - 1 for next, -1 for previous.
+     */
+    const navigateSearch = (step) => {
+        const total = state.chatHistory.reduce((sum, msg) => sum + countSearchMatches(msg), 0);
+        if (total === 0) return;
+        state.search.matchIndex = (state.search.matchIndex + step + total) % total;
+        refs.scrollToMatch = true;
+        updateSearchMatches();
+    };
+
+    /**
+     * Finds matches in every stored conversation except the open one.
+     * @returns {Promise<Array<{session: object, count: number, messageId: string, snippet: string}>>}
+     */
+    const searchOtherSessions = async () => {
+        const pattern = refs.searchPattern;
+        if (!pattern) return [];
+        const records = await withStore('messages', 'readonly', store => store.getAll()) || [];
+        const results = new Map();
+        records
+            .filter(record => record.sessionId !== state.activeSessionId && messageMatchesFilters(record))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach(record => {
+                const text = record.text || '';
+                const matches = [...text.matchAll(pattern)].filter(match => match[0]);
+                if (matches.length === 0) return;
+                const session = state.sessions.find(item => item.id === record.sessionId);
+                if (!session) return;
+                if (!results.has(session.id)) {
+                    const start = Math.max(matches[0].index - 30, 0);
+                    const snippet = `${start > 0 ? '…' : ''}${text.slice(start, matches[0].index + matches[0][0].length + 50)}…`;
+                    results.set(session.id, { session, count: 0, messageId: record.id, snippet });
+                }
+                results.get(session.id).count += matches.length;
+            });
+        return [...results.values()];
+    };
+
+    // Bumped on every scan of other conversations, so a slower, older scan can't overwrite a newer one.
+    let otherSessionResultsToken = 0;
+
+    /**
+     * Lists matches from other conversations below the search bar. Clicking
+     * one opens that conversation at its first match.
+     */
+    const renderOtherSessionResults = async () => {
+        const token = ++otherSessionResultsToken;
+        const results = await searchOtherSessions();
+        if (token !== otherSessionResultsToken) return;
+        elements.searchResults.innerHTML = '';
+        results.forEach(({ session, count, messageId, snippet }) => {
+            const item = el('button', 'search-result', [
+                el('span', 'search-result-title', [`${session.title} (${count})`]),
+                el('span', 'search-result-snippet', [snippet.replace(/\s+/g, ' ')])
+            ]);
+            item.type = 'button';
+            item.addEventListener('click', async () => {
+                await switchSession(session.id);
+                state.search.pendingMessageId = messageId;
+                refs.scrollToMatch = true;
+                updateSearchMatches();
+            });
+            elements.searchResults.appendChild(item);
+        });
+        if (results.length) {
+            elements.searchResults.prepend(el('p', 'search-results-heading', ['In other conversations']));
+        }
+        elements.searchResults.style.display = results.length ? 'flex' : 'none';
+    };
+
+    let searchTimer = null;
+    let searchInputTimer = null;
+
+    /**
+     * Re-reads the search inputs, rebuilds the pattern and re-renders. The
+     * scan of other conversations is debounced.
+     */
+    const handleSearchChange = () => {
+        clearTimeout(searchInputTimer);
+        searchInputTimer = null;
+        Object.assign(state.search, {
+            query: elements.searchInput.value,
+            caseSensitive: elements.searchCaseSensitive.checked,
+            wholeWord: elements.searchWholeWord.checked,
+            regex: elements.searchRegex.checked,
+            role: elements.searchRole.value,
+            imagesOnly: elements.searchImagesOnly.checked,
+            from: elements.searchFrom.value,
+            to: elements.searchTo.value,
+            matchIndex: 0,
+            error: ''
+        });
+        try {
+            refs.searchPattern = buildSearchPattern(state.search);
+        } catch (error) {
+            refs.searchPattern = null;
+            state.search.error = `Invalid pattern: ${error.message}`;
+        }
+        elements.searchInput.classList.toggle('invalid', Boolean(state.search.error));
+        refs.scrollToMatch = true;
+        renderChatHistory();
+
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(renderOtherSessionResults, 250);
+    };
+
+    /**
+     * Runs `handleSearchChange` once typing in the search box pauses.
+     */
+    const scheduleSearchChange = () => {
+        clearTimeout(searchInputTimer);
+        searchInputTimer = setTimeout(handleSearchChange, SEARCH_DEBOUNCE_MS);
+    };
+
+    // --- Model Providers ---
+
+    /**
+     * How each kind of failure is retried and explained. `maxRetries` counts
+     * attempts, like `config.retry.maxRetries`; `retryDelay` gets the attempt
+     * number and the error.
+     */
+    const errorCategories = {
+        network: {
+            label: "Connection problem",
+            message: "VISION couldn't reach the model service. Check your connection and try again.",
+            maxRetries: config.retry.maxRetries,
+            retryDelay: (attempt) => config.retry.baseDelay * Math.pow(2, attempt)
+        },
+        'rate-limit': {
+            label: "Rate limited",
+            message: "The model service is receiving too many requests. Wait a moment and try again.",
+            maxRetries: config.retry.maxRetries,
+            // Wait as long as the server asked, but never less than the usual backoff.
+            retryDelay: (attempt, error) => Math.max(error.retryAfter || 0, config.retry.baseDelay * Math.pow(2, attempt + 1))
+        },
+        server: {
+            label: "Service error",
+            message: "The model service ran into a problem. Try again in a moment.",
+            maxRetries: config.retry.maxRetries,
+            retryDelay: (attempt) => config.retry.baseDelay * Math.pow(2, attempt)
+        },
+        auth: {
+            label: "Not authorized",
+            message: "The API key is missing or was rejected. Check the provider settings.",
+            maxRetries: 1
+        },
+        'safety-block': {
+            label: "Blocked",
+            message: "The model declined to answer because of its safety filters. Try rephrasing the request.",
+            maxRetries: 1
+        },
+        'bad-request': {
+            label: "Request rejected",
+            message: "The model service rejected the request. It may be too long, or use a model or file it doesn't support.",
+            maxRetries: 1
+        }
+    };
+
+    /**
+     * The error category for an HTTP status.
+     * @param {number|null} status - The response status.
+     * @returns {string} - A key of `errorCategories`.
+     */
+    const categoryForStatus = (status) => {
+        if (status === 401 || status === 403) return 'auth';
+        if (status === 429) return 'rate-limit';
+        if (status === 408) return 'network';
+        if (status >= 400 && status < 500) return 'bad-request';
+        return 'server';
+    };
+
+    /**
+     * Error raised by a model provider. `category` decides how `withRetry`
+     * retries it; `retryAfter` is the wait in milliseconds the server asked for.
+     * Setting `retryable` to false stops any further attempts.
+     */
+    class ProviderError extends Error {
+        constructor(message, { status = null, category = categoryForStatus(status), retryAfter = null } = {}) {
+            super(message);
+            this.name = 'ProviderError';
+            this.status = status;
+            this.category = category;
+            this.retryAfter = retryAfter;
+        }
+    }
+
+    /**
+     * Sorts any error thrown while talking to a model into an error category.
+     * Fetch rejects with a TypeError when the network is unreachable.
+     * @param {Error} error - The error.
+     * @returns {string} - A key of `errorCategories`.
+     */
+    const classifyError = (error) => {
+        if (errorCategories[error?.category]) return error.category;
+        if (error instanceof TypeError || navigator.onLine === false) return 'network';
+        return 'server';
+    };
+
+    /**
+     * Resolves after the given number of milliseconds, or rejects with an
+     * AbortError as soon as `signal` aborts.
+     * @param {number} ms - How long to wait.
+     * @param {AbortSignal} [signal] - Cancels the wait.
+     * @returns {Promise<void>}
+     */
+    const delay = (ms, signal) => new Promise((res, rej) => {
+        const abort = () => {
+            clearTimeout(timer);
+            rej(new DOMException('The request was aborted.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', abort);
+            res();
+        }, ms);
+        if (signal?.aborted) {
+            abort();
+        } else {
+            signal?.addEventListener('abort', abort, { once: true });
+        }
+    });
+
+    /**
+     * Runs an async task, retrying it as the error's category allows.
+     * Nothing is retried while the browser is offline, or when the server asks
+     * to wait longer than `config.retry.maxRetryAfter`.
+     * @param {Function} task - The async function to run.
+     * @param {{signal?: AbortSignal}} [options] - Stops the waits between attempts.
+     * @returns {Promise<*>} - The task's result.
+     */
+    const withRetry = async (task, { signal } = {}) => {
+        let retryCount = 0;
+        while (true) {
+            try {
+                return await task();
+            } catch (error) {
+                retryCount++;
+                const policy = errorCategories[classifyError(error)];
+                if (error.name === 'AbortError' || error.retryable === false || retryCount >= policy.maxRetries || navigator.onLine === false
+                    || error.retryAfter > config.retry.maxRetryAfter) {
+                    throw error;
+                }
+                await delay(policy.retryDelay(retryCount, error), signal);
+            }
+        }
+    };
+
+    /**
+     * Reads a Retry-After header, which holds either seconds or an HTTP date.
+     * @param {string|null} value - The header value.
+     * @returns {number|null} - The wait in milliseconds, or null if there was none.
+     */
+    const parseRetryAfter = (value) => {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    };
+
+    /**
+     * POSTs a JSON body and throws a ProviderError for non-2xx responses.
+     * @param {string} url - The endpoint URL.
+     * @param {object} body - The request payload.
+     * @param {{headers?: object, signal?: AbortSignal}} [options] - Extra headers and an abort signal.
+     * @returns {Promise<Response>} - The successful response.
+     */
+    const postJson = (url, body, { headers = {}, signal } = {}) => postRequest(url, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    /**
+     * POSTs multipart form data (e.g. an image upload) and throws a
+     * ProviderError for non-2xx responses.
+     * @param {string} url - The endpoint URL.
+     * @param {FormData} formData - The form fields and files.
+     * @param {{headers?: object, signal?: AbortSignal}} [options] - Extra headers and an abort signal.
+     * @returns {Promise<Response>} - The successful response.
+     */
+    const postForm = (url, formData, { headers = {}, signal } = {}) => postRequest(url, { headers, body: formData, signal });
+
+    /**
+     * Sends a POST request, turning failures into categorised ProviderErrors.
+     * Error bodies from Gemini, OpenAI-compatible servers and `Server.js` are
+     * read for a better message, and Retry-After is kept for rate limits.
+     * @param {string} url - The endpoint URL.
+     * @param {{headers: object, body: *, signal?: AbortSignal}} init - Request options.
+     * @returns {Promise<Response>} - The successful response.
+     */
+    const postRequest = async (url, { headers, body, signal }) => {
+        let response;
+        try {
+            response = await fetch(url, { method: 'POST', headers, body, signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new ProviderError(`Network error: ${error.message}`, { category: 'network' });
+        }
+        if (!response.ok) {
+            const status = response.status;
+            const detail = await response.json().catch(() => null);
+            const message = (typeof detail?.error === 'string' ? detail.error : detail?.error?.message) || `API error: ${status} ${response.statusText}`;
+            // Gemini answers a bad key with 400 rather than 401, and OpenAI flags refused prompts with a code.
+            const category = detail?.category
+                || (/api key/i.test(message) && 'auth')
+                || (detail?.error?.code === 'content_policy_violation' && 'safety-block')
+                || categoryForStatus(status);
+            throw new ProviderError(message, {
+                status,
+                category,
+                retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        }
+        return response;
+    };
+
+    /**
+     * Reads a streaming response body line by line.
+     * @param {Response} response - The fetch response.
+     * @param {Function} onLine - Called with each complete line of text.
+     */
+    const readLines = async (response, onLine) => {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+            lines.forEach(line => onLine(line.replace(/\r$/, '')));
+            if (done) break;
+        }
+    };
+
+    /**
+     * Reads a server-sent events response and passes each parsed `data:` payload on.
+     * @param {Response} response - The fetch response.
+     * @param {Function} onData - Called with each JSON payload.
+     */
+    const readServerSentEvents = (response, onData) => readLines(response, (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (data && data !== '[DONE]') onData(JSON.parse(data));
+    });
+
+    /**
+     * Builds the error thrown when a provider lacks a capability.
+     * @param {string} provider - The provider type.
+     * @param {string} method - The unsupported method.
+     * @returns {ProviderError}
+     */
+    const unsupported = (provider, method) =>
+        new ProviderError(`The ${provider} provider does not support ${method}.`, { category: 'bad-request' });
+
+    /**
+     * Flattens the text parts of a Gemini-style message.
+     * @param {{parts: Array<object>}} message - The message.
+     * @returns {string} - The concatenated text.
+     */
+    const textOfParts = (message) => (message?.parts || []).map(part => part.text || '').join('');
+
+    /**
+     * Collects the function calls in a Gemini-style message. A call's thought
+     * signature, when it has one, must be sent back along with it.
+     * @param {{parts: Array<object>}} message - The message.
+     * @returns {Array<{id: string, name: string, args: object, signature?: string}>}
+     */
+    const functionCallsOf = (message) => (message?.parts || [])
+        .filter(part => part.functionCall)
+        .map(part => ({
+            id: part.functionCall.id || crypto.randomUUID(),
+            name: part.functionCall.name,
+            args: part.functionCall.args || {},
+            ...(part.thoughtSignature ? { signature: part.thoughtSignature } : {})
+        }));
+
+    /**
+     * The conversation part that replays a tool call the model made.
+     * @param {{id: string, name: string, args: object, signature?: string}} call - The tool call.
+     * @returns {object}
+     */
+    const toolCallPart = ({ id, name, args, signature }) => ({
+        functionCall: { id, name, args },
+        ...(signature ? { thoughtSignature: signature } : {})
+    });
+
+    /**
+     * Gemini's `tools` field for the tool declarations on offer.
+     * @param {Array<object>} [tools] - From `toolDeclarations`.
+     * @returns {object}
+     */
+    const geminiToolFields = (tools) => (tools?.length ? { tools: [{ functionDeclarations: tools }] } : {});
+
+    /**
+     * Drops the settings that were left empty, so the provider's defaults apply.
+     * @param {object} fields - Setting names and values.
+     * @returns {object}
+     */
+    const withoutEmpty = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+
+    /**
+     * The Gemini request fields for a persona's system instruction, sampling
+     * settings and safety thresholds.
+     * @param {object} [generation] - From `personaSettings`.
+     * @returns {object} - `systemInstruction`, `generationConfig` and `safetySettings`, where set.
+     */
+    const geminiGenerationFields = ({ systemInstruction, temperature, topP, maxOutputTokens, safety } = {}) => {
+        const generationConfig = withoutEmpty({ temperature, topP, maxOutputTokens });
+        const safetySettings = Object.entries(safety || {}).map(([category, threshold]) => ({ category, threshold }));
+        return withoutEmpty({
+            systemInstruction: systemInstruction ? { parts: [{ text: systemInstruction }] } : null,
+            generationConfig: Object.keys(generationConfig).length ? generationConfig : null,
+            safetySettings: safetySettings.length ? safetySettings : null
+        });
+    };
+
+    // Gemini finish reasons that mean the reply was withheld rather than completed.
+    const GEMINI_BLOCK_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY'];
+
+    /**
+     * Throws a safety-block ProviderError if Gemini refused the prompt or cut
+     * the reply off.
+     * @param {object} result - A `generateContent` response or stream chunk.
+     * @returns {object} - The same result.
+     */
+    const checkGeminiBlock = (result) => {
+        const finishReason = result?.candidates?.[0]?.finishReason;
+        const reason = result?.promptFeedback?.blockReason || (GEMINI_BLOCK_REASONS.includes(finishReason) && finishReason);
+        if (reason) {
+            throw new ProviderError(`The response was blocked (${reason}).`, { category: 'safety-block' });
+        }
+        return result;
+    };
+
+    /**
+     * Turns the base64 PCM audio Gemini returns into a WAV Blob.
+     * @param {{mimeType: string, data: string}|undefined} inlineData - The audio part, e.g. `audio/L16;rate=24000`.
+     * @returns {Blob|null} - The WAV audio, or null if there was none.
+     */
+    const inlineAudioToWav = (inlineData) => {
+        const { mimeType, data } = inlineData || {};
+        if (!data || !mimeType || !mimeType.startsWith("audio/")) {
+            return null;
+        }
+        const sampleRate = parseInt(mimeType.match(/rate=(\d+)/)?.[1] || '24000', 10);
+        return pcmToWav(new Int16Array(base64ToArrayBuffer(data)), sampleRate);
+    };
+
+    /**
+     * Provider for the Google Gemini API. Conversations use Gemini's own
+     * `contents` format, which is also the format used throughout this file.
+     * @param {{baseUrl: string, apiKey: string}} settings - Provider settings.
+     * @returns {object} - The provider.
+     */
+    const createGeminiProvider = ({ baseUrl, apiKey }) => {
+        const endpoint = (model, method) => `${baseUrl}/models/${model}:${method}`;
+        // Sent as a header rather than in the URL, so the key stays out of logs and browser history.
+        const headers = { 'x-goog-api-key': apiKey };
+
+        return {
+            chat: async ({ model, contents, generation, tools, signal }) => {
+                const payload = { contents, ...geminiGenerationFields(generation), ...geminiToolFields(tools) };
+                const response = await postJson(endpoint(model, 'generateContent'), payload, { headers, signal });
+                const content = checkGeminiBlock(await response.json())?.candidates?.[0]?.content;
+                return { text: textOfParts(content), toolCalls: functionCallsOf(content) };
+            },
+            streamChat: async ({ model, contents, generation, tools, signal, onToken }) => {
+                const url = `${endpoint(model, 'streamGenerateContent')}?alt=sse`;
+                const payload = { contents, ...geminiGenerationFields(generation), ...geminiToolFields(tools) };
+                const response = await postJson(url, payload, { headers, signal });
+                let text = '';
+                const toolCalls = [];
+                await readServerSentEvents(response, (result) => {
+                    const content = checkGeminiBlock(result)?.candidates?.[0]?.content;
+                    const token = textOfParts(content);
+                    if (token) {
+                        text += token;
+                        onToken(token);
+                    }
+                    toolCalls.push(...functionCallsOf(content));
+                });
+                return { text, toolCalls };
+            },
+            generateImage: async ({ model, prompt, signal }) => {
+                const payload = { instances: [{ prompt }], parameters: { sampleCount: 1 } };
+                const response = await postJson(endpoint(model, 'predict'), payload, { headers, signal });
+                const result = await response.json();
+                const filtered = result?.predictions?.[0]?.raiFilteredReason;
+                if (filtered) {
+                    throw new ProviderError(filtered, { category: 'safety-block' });
+                }
+                const data = result?.predictions?.[0]?.bytesBase64Encoded;
+                return data ? { mimeType: 'image/png', data } : null;
+            },
+            // Imagen cannot take an input image, so edits go to a Gemini model that returns images.
+            editImage: async ({ model, prompt, image, signal }) => {
+                const payload = {
+                    contents: [{ role: 'user', parts: [{ text: prompt }, { inlineData: image }] }],
+                    generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+                };
+                const response = await postJson(endpoint(model, 'generateContent'), payload, { headers, signal });
+                const result = checkGeminiBlock(await response.json());
+                const part = (result?.candidates?.[0]?.content?.parts || []).find(item => item.inlineData);
+                return part ? { mimeType: part.inlineData.mimeType, data: part.inlineData.data } : null;
+            },
+            speak: async ({ model, text, voice, signal }) => {
+                const payload = {
+                    contents: [{ parts: [{ text: text }] }],
+                    generationConfig: {
+                        responseModalities: ["AUDIO"],
+                        speechConfig: {
+                            voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } }
+                        }
+                    }
+                };
+                const response = await postJson(endpoint(model, 'generateContent'), payload, { headers, signal });
+                const result = await response.json();
+                return inlineAudioToWav(result?.candidates?.[0]?.content?.parts?.[0]?.inlineData);
+            }
+        };
+    };
+
+    /**
+     * Provider for the bundled Node server (`Server.js`). The server holds the
+     * Gemini key and forwards each request, so no key reaches the browser.
+     * @param {{baseUrl: string}} settings - Provider settings.
+     * @returns {object} - The provider.
+     */
+    const createProxyProvider = ({ baseUrl }) => {
+        // Conversations with images go to the vision route so the server can log and limit them separately.
+        const chatRoute = (contents) => (contents.some(turn => turn.parts.some(part => part.inlineData)) ? 'vision' : 'chat');
+
+        return {
+            chat: async ({ model, contents, generation, tools, signal }) => {
+                const response = await postJson(`${baseUrl}/${chatRoute(contents)}`, { model, contents, generation, tools }, { signal });
+                const result = await response.json();
+                return { text: result?.text || '', toolCalls: result?.toolCalls || [] };
+            },
+            streamChat: async ({ model, contents, generation, tools, signal, onToken }) => {
+                const response = await postJson(`${baseUrl}/${chatRoute(contents)}`, { model, contents, generation, tools, stream: true }, { signal });
+                let text = '';
+                const toolCalls = [];
+                await readServerSentEvents(response, (result) => {
+                    if (result.error) {
+                        throw new ProviderError(result.error, { category: result.category });
+                    }
+                    if (result.text) {
+                        text += result.text;
+                        onToken(result.text);
+                    }
+                    if (result.toolCalls) toolCalls.push(...result.toolCalls);
+                });
+                return { text, toolCalls };
+            },
+            generateImage: async ({ model, prompt, signal }) => {
+                const response = await postJson(`${baseUrl}/image`, { model, prompt }, { signal });
+                const result = await response.json();
+                return result?.data ? result : null;
+            },
+            editImage: async ({ model, prompt, image, signal }) => {
+                const response = await postJson(`${baseUrl}/image/edit`, { model, prompt, image }, { signal });
+                const result = await response.json();
+                return result?.data ? result : null;
+            },
+            speak: async ({ model, text, voice, signal }) => {
+                const response = await postJson(`${baseUrl}/tts`, { model, text, voice }, { signal });
+                return inlineAudioToWav(await response.json());
+            }
+        };
+    };
+
+    /**
+     * Provider for OpenAI-compatible endpoints (OpenAI itself, llama.cpp's
+     * server, vLLM, LM Studio and similar).
+     * @param {{baseUrl: string, apiKey: string}} settings - Provider settings.
+     * @returns {object} - The provider.
+     */
+    const createOpenAIProvider = ({ baseUrl, apiKey }) => {
+        const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+        // Only user turns may carry images in the OpenAI format; assistant turns are plain text.
+        // Tool calls become the assistant's `tool_calls`, and each tool result a `tool` message.
+        const toOpenAIMessages = (message) => {
+            const results = message.parts.filter(part => part.functionResponse);
+            if (results.length) {
+                return results.map(({ functionResponse }) => ({ role: 'tool', tool_call_id: functionResponse.id, content: JSON.stringify(functionResponse.response) }));
+            }
+            if (message.role !== 'model') {
+                return [{
+                    role: message.role,
+                    content: message.parts.map(part => part.inlineData
+                        ? { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }
+                        : { type: 'text', text: part.text })
+                }];
+            }
+            const calls = message.parts.filter(part => part.functionCall).map(({ functionCall: { id, name, args } }) => ({
+                id,
+                type: 'function',
+                function: { name, arguments: JSON.stringify(args) }
+            }));
+            return [{ role: 'assistant', content: textOfParts(message), ...(calls.length ? { tool_calls: calls } : {}) }];
+        };
+
+        // The persona's instruction becomes a system message; OpenAI has no safety thresholds.
+        const toOpenAIPayload = (model, contents, { systemInstruction, temperature, topP, maxOutputTokens } = {}, tools = []) => ({
+            model,
+            messages: [...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []), ...contents.flatMap(toOpenAIMessages)],
+            ...withoutEmpty({ temperature, top_p: topP, max_tokens: maxOutputTokens }),
+            ...(tools.length ? { tools: tools.map(tool => ({ type: 'function', function: tool })) } : {})
+        });
+
+        // Arguments arrive as a JSON string, which a small model may get wrong.
+        const toToolCall = ({ id, name, arguments: args }) => {
+            let parsed = {};
+            try {
+                parsed = JSON.parse(args || '{}');
+            } catch (error) {
+                console.error(`Unreadable arguments for ${name}:`, args);
+            }
+            return { id: id || crypto.randomUUID(), name, args: parsed };
+        };
+
+        return {
+            chat: async ({ model, contents, generation, tools, signal }) => {
+                const payload = toOpenAIPayload(model, contents, generation, tools);
+                const response = await postJson(`${baseUrl}/chat/completions`, payload, { headers, signal });
+                const result = await response.json();
+                if (result?.choices?.[0]?.finish_reason === 'content_filter') {
+                    throw new ProviderError("The response was blocked by the content filter.", { category: 'safety-block' });
+                }
+                const message = result?.choices?.[0]?.message;
+                return {
+                    text: message?.content || '',
+                    toolCalls: (message?.tool_calls || []).map(call => toToolCall({ id: call.id, ...call.function }))
+                };
+            },
+            streamChat: async ({ model, contents, generation, tools, signal, onToken }) => {
+                const payload = { ...toOpenAIPayload(model, contents, generation, tools), stream: true };
+                const response = await postJson(`${baseUrl}/chat/completions`, payload, { headers, signal });
+                let text = '';
+                // Tool calls stream in pieces, keyed by their index.
+                const calls = [];
+                await readServerSentEvents(response, (result) => {
+                    if (result?.choices?.[0]?.finish_reason === 'content_filter') {
+                        throw new ProviderError("The response was blocked by the content filter.", { category: 'safety-block' });
+                    }
+                    const delta = result?.choices?.[0]?.delta;
+                    const token = delta?.content;
+                    if (token) {
+                        text += token;
+                        onToken(token);
+                    }
+                    (delta?.tool_calls || []).forEach(({ index = 0, id, function: fn = {} }) => {
+                        const call = calls[index] = calls[index] || { id: '', name: '', arguments: '' };
+                        if (id) call.id = id;
+                        call.name += fn.name || '';
+                        call.arguments += fn.arguments || '';
+                    });
+                });
+                return { text, toolCalls: calls.filter(Boolean).map(toToolCall) };
+            },
+            generateImage: async ({ model, prompt, signal }) => {
+                const payload = { model, prompt, n: 1, response_format: 'b64_json' };
+                const response = await postJson(`${baseUrl}/images/generations`, payload, { headers, signal });
+                const result = await response.json();
+                const data = result?.data?.[0]?.b64_json;
+                return data ? { mimeType: 'image/png', data } : null;
+            },
+            editImage: async ({ model, prompt, image, signal }) => {
+                const formData = new FormData();
+                formData.append('model', model);
+                formData.append('prompt', prompt);
+                formData.append('image', new Blob([base64ToArrayBuffer(image.data)], { type: image.mimeType }), `image.${imageExtension(image.mimeType)}`);
+                const response = await postForm(`${baseUrl}/images/edits`, formData, { headers, signal });
+                const result = await response.json();
+                const data = result?.data?.[0]?.b64_json;
+                return data ? { mimeType: 'image/png', data } : null;
+            },
+            speak: async ({ model, text, voice, signal }) => {
+                const payload = { model, input: text, voice, response_format: 'wav' };
+                const response = await postJson(`${baseUrl}/audio/speech`, payload, { headers, signal });
+                return response.blob();
+            }
+        };
+    };
+
+    /**
+     * Provider for a local Ollama server. Ollama only serves chat and vision;
+     * point the image and TTS capabilities at another provider.
+     * @param {{baseUrl: string}} settings - Provider settings.
+     * @returns {object} - The provider.
+     */
+    const createOllamaProvider = ({ baseUrl }) => {
+        const toOllamaMessages = (message) => {
+            const results = message.parts.filter(part => part.functionResponse);
+            if (results.length) {
+                return results.map(({ functionResponse }) => ({ role: 'tool', tool_name: functionResponse.name, content: JSON.stringify(functionResponse.response) }));
+            }
+            const calls = message.parts.filter(part => part.functionCall).map(({ functionCall: { name, args } }) => ({ function: { name, arguments: args } }));
+            return [{
+                role: message.role === 'model' ? 'assistant' : message.role,
+                content: textOfParts(message),
+                images: message.parts.filter(part => part.inlineData).map(part => part.inlineData.data),
+                ...(calls.length ? { tool_calls: calls } : {})
+            }];
+        };
+
+        const toOllamaPayload = (model, contents, { systemInstruction, temperature, topP, maxOutputTokens } = {}, tools = [], stream) => ({
+            model,
+            messages: [...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []), ...contents.flatMap(toOllamaMessages)],
+            options: withoutEmpty({ temperature, top_p: topP, num_predict: maxOutputTokens }),
+            ...(tools.length ? { tools: tools.map(tool => ({ type: 'function', function: tool })) } : {}),
+            stream
+        });
+
+        // Ollama gives tool calls no id, and their arguments as an object.
+        const fromOllamaToolCalls = (calls = []) => calls.map(({ function: fn }) => ({ id: crypto.randomUUID(), name: fn.name, args: fn.arguments || {} }));
+
+        return {
+            chat: async ({ model, contents, generation, tools, signal }) => {
+                const payload = toOllamaPayload(model, contents, generation, tools, false);
+                const response = await postJson(`${baseUrl}/api/chat`, payload, { signal });
+                const result = await response.json();
+                return { text: result?.message?.content || '', toolCalls: fromOllamaToolCalls(result?.message?.tool_calls) };
+            },
+            // Ollama streams newline-delimited JSON rather than server-sent events.
+            streamChat: async ({ model, contents, generation, tools, signal, onToken }) => {
+                const payload = toOllamaPayload(model, contents, generation, tools, true);
+                const response = await postJson(`${baseUrl}/api/chat`, payload, { signal });
+                let text = '';
+                const toolCalls = [];
+                await readLines(response, (line) => {
+                    if (!line.trim()) return;
+                    const message = JSON.parse(line)?.message;
+                    const token = message?.content;
+                    if (token) {
+                        text += token;
+                        onToken(token);
+                    }
+                    toolCalls.push(...fromOllamaToolCalls(message?.tool_calls));
+                });
+                return { text, toolCalls };
+            },
+            generateImage: async () => {
+                throw unsupported('ollama', 'image generation');
+            },
+            editImage: async () => {
+                throw unsupported('ollama', 'image editing');
+            },
+            speak: async () => {
+                throw unsupported('ollama', 'speech synthesis');
+            }
+        };
+    };
+
+    /**
+     * Offline stand-in provider. It answers every capability with canned data
+     * so the whole app can be exercised without a network connection.
+     * @param {{latency: number}} settings - Provider settings.
+     * @returns {object} - The provider.
+     */
+    const createMockProvider = ({ latency = 0 }) => {
+        // The user's own words, leaving out document excerpts added to the turn.
+        const promptOf = (turn) => textOfParts({ parts: (turn?.parts || []).filter(part => !isDocumentExcerpts(part)) }).trim();
+
+        const cannedReply = (contents) => {
+            const lastTurn = contents[contents.length - 1];
+            const prompt = promptOf(lastTurn);
+            const imageCount = (lastTurn?.parts || []).filter(part => part.inlineData).length;
+            const imageNote = imageCount ? ` I received ${imageCount} image(s) but cannot look at them offline.` : '';
+            const documentNote = (lastTurn?.parts || []).some(isDocumentExcerpts) ? " Your documents were searched and excerpt [1] looks relevant." : '';
+            return `[offline] You said: "${prompt.slice(0, 200)}".${imageNote}${documentNote} This conversation has ${contents.length} turn(s) so far.`;
+        };
+
+        // Requests the mock answers with a tool call, so the tool loop can be exercised offline.
+        const toolRequests = [
+            [/https?:\/\/\S+/, match => ['fetch_url', { url: match[0] }]],
+            [/\bconvert\s+(-?[\d.]+)\s*(\S+)\s+(?:to|into)\s+(\S+?)[?.!]*$/i, match => ['convert_units', { value: Number(match[1]), from: match[2], to: match[3] }]],
+            [/\b(?:calculate|compute)\s+(.+?)[?.!]*$/i, match => ['calculator', { expression: match[1] }]],
+            [/\b(?:what time|what day|today's date|current (?:date|time))\b/i, () => ['get_datetime', {}]],
+            [/\b(?:search(?: for)?|look up)\s+(.+?)[?.!]*$/i, match => ['web_search', { query: match[1] }]]
+        ];
+
+        // A tool result is quoted back; otherwise a recognised request gets a tool call, if that tool is on offer.
+        const respond = (contents, tools = []) => {
+            const lastTurn = contents[contents.length - 1];
+            const results = (lastTurn?.parts || []).filter(part => part.functionResponse);
+            if (results.length) {
+                const quotes = results.map(({ functionResponse: { name, response } }) => `The ${name} tool returned ${JSON.stringify(response).slice(0, 300)}.`);
+                return { text: `[offline] ${quotes.join(' ')}`, toolCalls: [] };
+            }
+            const prompt = promptOf(lastTurn);
+            for (const [pattern, toCall] of toolRequests) {
+                const match = prompt.match(pattern);
+                if (!match) continue;
+                const [name, args] = toCall(match);
+                if (tools.some(tool => tool.name === name)) {
+                    return { text: '', toolCalls: [{ id: crypto.randomUUID(), name, args }] };
+                }
+            }
+            return { text: cannedReply(contents), toolCalls: [] };
+        };
+
+        // A gradient in a random hue, so regenerated images and variations are told apart.
+        const placeholderImage = (label) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 512;
+            canvas.height = 512;
+            const ctx = canvas.getContext('2d');
+            const hue = Math.floor(Math.random() * 360);
+            const gradient = ctx.createLinearGradient(0, 0, 512, 512);
+            gradient.addColorStop(0, `hsl(${hue}, 100%, 25%)`);
+            gradient.addColorStop(1, `hsl(${(hue + 40) % 360}, 76%, 53%)`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, 512, 512);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '24px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(label.slice(0, 40), 256, 256);
+            return { mimeType: 'image/png', data: canvas.toDataURL('image/png').split(',')[1] };
+        };
+
+        return {
+            chat: async ({ contents, tools, signal }) => {
+                await delay(latency, signal);
+                return respond(contents, tools);
+            },
+            streamChat: async ({ contents, tools, signal, onToken }) => {
+                const { text: reply, toolCalls } = respond(contents, tools);
+                const words = reply ? reply.split(/(?<=\s)/) : [];
+                let text = '';
+                for (const word of words) {
+                    await delay(latency / 10);
+                    if (signal?.aborted) {
+                        throw new DOMException('The request was aborted.', 'AbortError');
+                    }
+                    text += word;
+                    onToken(word);
+                }
+                return { text, toolCalls };
+            },
+            generateImage: async ({ prompt }) => {
+                await delay(latency);
+                return placeholderImage(prompt);
+            },
+            editImage: async ({ prompt }) => {
+                await delay(latency);
+                return placeholderImage(`Edited: ${prompt}`);
+            },
+            speak: async ({ text }) => {
+                await delay(latency);
+                const sampleRate = 24000;
+                const seconds = Math.min(text.length * 0.05, 10);
+                return pcmToWav(new Int16Array(Math.round(sampleRate * seconds)), sampleRate);
+            }
+        };
+    };
+
+    const providerFactories = {
+        proxy: createProxyProvider,
+        gemini: createGeminiProvider,
+        openai: createOpenAIProvider,
+        ollama: createOllamaProvider,
+        mock: createMockProvider
+    };
+
+    const providerInstances = new Map();
+
+    /**
+     * Looks up the provider and settings configured for a capability, with
+     * the open conversation's persona applied.
+     * @param {string} capability - One of chat, vision, image, summarize or tts.
+     * @returns {{provider: object, settings: object}}
+     */
+    const getProvider = (capability) => {
+        const settings = config.capabilities[capability];
+        if (!settings) {
+            throw new ProviderError(`No provider configured for "${capability}".`, { category: 'bad-request' });
+        }
+        if (!providerInstances.has(settings.provider)) {
+            const providerConfig = config.providers[settings.provider];
+            const factory = providerFactories[providerConfig?.type];
+            if (!factory) {
+                throw new ProviderError(`Unknown provider "${settings.provider}".`, { category: 'bad-request' });
+            }
+            providerInstances.set(settings.provider, factory(providerConfig));
+        }
+        return { provider: providerInstances.get(settings.provider), settings: { ...settings, ...personaSettings(capability) } };
+    };
+
+    /**
+     * Calls a provider method for a capability, with retries.
+     * @param {string} capability - The capability being used.
+     * @param {string} method - The provider method to call.
+     * @param {object} args - Method arguments; the capability's settings are merged in.
+     * @returns {Promise<*>} - The provider's result.
+     */
+    const runCapability = (capability, method, args) => {
+        const { provider, settings } = getProvider(capability);
+        return withRetry(() => provider[method]({ ...settings, ...args }), { signal: args.signal });
+    };
+
+    /**
+     * Streams a chat reply for a capability. Falls back to a single chunk for
+     * providers without streaming, and only retries while nothing has arrived yet.
+     * @param {string} capability - Either chat or vision.
+     * @param {object} args - Method arguments, including `onToken` and any `tools` on offer.
+     * @returns {Promise<{text: string, toolCalls: Array<object>}>} - The complete reply and the tools it called.
+     */
+    const runStreamingCapability = (capability, args) => {
+        const { provider, settings } = getProvider(capability);
+        let received = false;
+        const onToken = (token) => {
+            received = true;
+            args.onToken(token);
+        };
+        return withRetry(async () => {
+            try {
+                if (!provider.streamChat) {
+                    const result = await provider.chat({ ...settings, ...args });
+                    if (result.text) onToken(result.text);
+                    return result;
+                }
+                return await provider.streamChat({ ...settings, ...args, onToken });
+            } catch (error) {
+                if (received) error.retryable = false;
+                throw error;
+            }
+        }, { signal: args.signal });
+    };
+
+    /**
+     * The single entry point the rest of the app uses to reach a model.
+     */
+    const ai = {
+        chat: (contents, options = {}) => runCapability('chat', 'chat', { contents, ...options }),
+        vision: (contents, options = {}) => runCapability('vision', 'chat', { contents, ...options }),
+        streamChat: (capability, contents, options) => runStreamingCapability(capability, { contents, ...options }),
+        summarize: (prompt, options = {}) => runCapability('summarize', 'chat', { contents: [{ role: "user", parts: [{ text: prompt }] }], ...options }),
+        generateImage: (prompt, options = {}) => runCapability('image', 'generateImage', { prompt, ...options }),
+        editImage: async (prompt, imageBlob, options = {}) => runCapability('imageEdit', 'editImage', { prompt, image: (await blobToInlineData(imageBlob)).inlineData, ...options }),
+        speak: (text) => runCapability('tts', 'speak', { text })
+    };
+
+    // --- Tools ---
+
+    // Functions the chat and vision models may call, by name.
+    const tools = new Map();
+
+    /**
+     * Adds a tool the model may call. `parameters` is a JSON Schema for its
+     * arguments. `run` does the real work and `stub` answers the same call
+     * locally, so the tool loop can be tested offline. Both get `(args,
+     * {signal})` and return a JSON-able object; a `sources` array in it
+     * becomes the reply's numbered citations.
+     * @param {{name: string, description: string, parameters: object, run: Function, stub: Function}} tool - The tool.
+     */
+    const registerTool = (tool) => {
+        tools.set(tool.name, tool);
+    };
+
+    /**
+     * The declarations offered to the model, or none when tools are turned off.
+     * @returns {Array<{name: string, description: string, parameters: object}>}
+     */
+    const toolDeclarations = () => (config.tools.enabled
+        ? [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }))
+        : []);
+
+    /**
+     * Whether tool calls for a capability are answered by the stubs.
+     * @param {string} capability - Either chat or vision.
+     * @returns {boolean}
+     */
+    const usesToolStubs = (capability) => config.tools.useStubs || config.providers[config.capabilities[capability]?.provider]?.type === 'mock';
+
+    /**
+     * Runs one tool call the model made.
+     * @param {{name: string, args: object}} call - The tool call.
+     * @param {{signal?: AbortSignal, useStub?: boolean}} [options] - An abort signal, and whether to use the stub.
+     * @returns {Promise<object>} - The tool's result.
+     */
+    const runTool = async ({ name, args }, { signal, useStub = false } = {}) => {
+        const tool = tools.get(name);
+        if (!tool) {
+            throw new Error(`There is no tool called "${name}".`);
+        }
+        return (useStub ? tool.stub : tool.run)(args || {}, { signal });
+    };
+
+    /**
+     * POSTs to one of the server's web tool routes.
+     * @param {string} route - `search` or `fetch`.
+     * @param {object} body - The request payload.
+     * @param {AbortSignal} [signal] - Cancels the request.
+     * @returns {Promise<object>} - The parsed response.
+     */
+    const postToolRoute = async (route, body, signal) => (await postJson(`${config.tools.baseUrl}/${route}`, body, { signal })).json();
+
+    /**
+     * Evaluates an arithmetic expression without `eval`: numbers, + - * / %,
+     * ^ or ** for powers, parentheses, a few functions and the constants pi and e.
+     * @param {string} expression - The expression.
+     * @returns {number}
+     */
+    const evaluateExpression = (expression) => {
+        const functions = {
+            sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil, exp: Math.exp,
+            ln: Math.log, log: Math.log10, sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan
+        };
+        const constants = { pi: Math.PI, e: Math.E };
+        const source = expression.replace(/×/g, '*').replace(/÷/g, '/').replace(/(\d),(?=\d{3}\b)/g, '$1');
+        const tokens = source.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|\*\*|\S/gi) || [];
+        let position = 0;
+        const peek = () => tokens[position];
+        const take = (expected) => {
+            const token = tokens[position++];
+            if (token === undefined) throw new Error("The expression ends too early.");
+            if (expected && token !== expected) throw new Error(`Expected "${expected}" but found "${token}".`);
+            return token;
+        };
+
+        // Each level handles one precedence tier and defers tighter-binding operators to the next.
+        const primary = () => {
+            const token = take();
+            if (token === '(') {
+                const value = sum();
+                take(')');
+                return value;
+            }
+            if (/^\d|^\./.test(token)) return Number(token);
+            const name = token.toLowerCase();
+            if (name in constants) return constants[name];
+            if (functions[name]) {
+                take('(');
+                const value = sum();
+                take(')');
+                return functions[name](value);
+            }
+            throw new Error(`Unknown symbol "${token}".`);
+        };
+        const power = () => {
+            const base = primary();
+            if (peek() !== '^' && peek() !== '**') return base;
+            take();
+            // Right-associative, and binds tighter than a leading minus: -2^2 is -4.
+            return Math.pow(base, unary());
+        };
+        const unary = () => {
+            if (peek() === '-') {
+                take();
+                return -unary();
+            }
+            if (peek() === '+') {
+                take();
+                return unary();
+            }
+            return power();
+        };
+        const product = () => {
+            let value = unary();
+            while (['*', '/', '%'].includes(peek())) {
+                const operator = take();
+                const operand = unary();
+                value = operator === '*' ? value * operand : operator === '/' ? value / operand : value % operand;
+            }
+            return value;
+        };
+        const sum = () => {
+            let value = product();
+            while (peek() === '+' || peek() === '-') {
+                value = take() === '+' ? value + product() : value - product();
+            }
+            return value;
+        };
+
+        const result = sum();
+        if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}".`);
+        if (!Number.isFinite(result)) throw new Error("The result is not a finite number.");
+        return result;
+    };
+
+    // Each unit's size in its dimension's base unit: metres, kilograms, litres,
+    // seconds, metres per second and bytes.
+    const unitScales = {
+        length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852 },
+        mass: { kg: 1, g: 0.001, mg: 1e-6, t: 1000, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318 },
+        volume: { l: 1, ml: 0.001, m3: 1000, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473, cup: 0.2365882365, floz: 0.0295735295625 },
+        time: { s: 1, ms: 0.001, min: 60, h: 3600, day: 86400, week: 604800, year: 31557600 },
+        speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 1852 / 3600 },
+        data: { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3 }
+    };
+
+    // Temperatures have offsets, so they convert through kelvin instead.
+    const temperatureScales = {
+        c: { toKelvin: value => value + 273.15, fromKelvin: kelvin => kelvin - 273.15 },
+        f: { toKelvin: value => (value - 32) * 5 / 9 + 273.15, fromKelvin: kelvin => (kelvin - 273.15) * 9 / 5 + 32 },
+        k: { toKelvin: value => value, fromKelvin: kelvin => kelvin }
+    };
+
+    // Spelled-out names for the units above. Plurals ending in "s" are found without it.
+    const unitAliases = {
+        metre: 'm', meter: 'm', kilometre: 'km', kilometer: 'km', centimetre: 'cm', centimeter: 'cm', millimetre: 'mm', millimeter: 'mm',
+        mile: 'mi', yard: 'yd', foot: 'ft', feet: 'ft', inch: 'in', inches: 'in', 'nautical mile': 'nmi',
+        kilogram: 'kg', kilo: 'kg', gram: 'g', milligram: 'mg', tonne: 't', pound: 'lb', lbs: 'lb', ounce: 'oz', stone: 'st',
+        litre: 'l', liter: 'l', millilitre: 'ml', milliliter: 'ml', 'cubic metre': 'm3', 'cubic meter': 'm3', 'm³': 'm3',
+        gallon: 'gal', quart: 'qt', pint: 'pt', 'fl oz': 'floz', 'fluid ounce': 'floz',
+        second: 's', sec: 's', millisecond: 'ms', minute: 'min', hour: 'h', hr: 'h', yr: 'year',
+        kph: 'km/h', kmh: 'km/h', 'mi/h': 'mph', knot: 'kn', kt: 'kn',
+        byte: 'b', kilobyte: 'kb', megabyte: 'mb', gigabyte: 'gb', terabyte: 'tb',
+        celsius: 'c', centigrade: 'c', fahrenheit: 'f', kelvin: 'k'
+    };
+
+    /**
+     * The short name of a unit, e.g. "Miles" → "mi" and "°F" → "f".
+     * @param {string} unit - The unit as written.
+     * @returns {string}
+     */
+    const normalizeUnit = (unit) => {
+        const isKnown = (name) => Boolean(temperatureScales[name] || Object.values(unitScales).some(scales => scales[name]));
+        const name = String(unit).trim().toLowerCase().replace(/^°\s*/, '');
+        const canonical = unitAliases[name] || name;
+        if (isKnown(canonical) || !name.endsWith('s')) return canonical;
+        return unitAliases[name.slice(0, -1)] || name.slice(0, -1);
+    };
+
+    /**
+     * Converts a quantity between two units of the same dimension.
+     * @param {{value: number, from: string, to: string}} args - The quantity and units.
+     * @returns {{value: number, from: string, to: string, result: number}}
+     */
+    const convertUnits = ({ value, from, to }) => {
+        const amount = Number(value);
+        if (!Number.isFinite(amount)) {
+            throw new Error('"value" must be a number.');
+        }
+        const source = normalizeUnit(from);
+        const target = normalizeUnit(to);
+        let result;
+        if (temperatureScales[source] && temperatureScales[target]) {
+            result = temperatureScales[target].fromKelvin(temperatureScales[source].toKelvin(amount));
+        } else {
+            const scales = Object.values(unitScales).find(dimension => dimension[source] && dimension[target]);
+            if (!scales) {
+                throw new Error(`Can't convert "${from}" to "${to}".`);
+            }
+            result = amount * scales[source] / scales[target];
+        }
+        // Rounded so 1 ft in inches is 12 rather than 11.999999999999998.
+        return { value: amount, from, to, result: Number(result.toPrecision(12)) };
+    };
+
+    /**
+     * Describes a moment for the date/time tool.
+     * @param {Date} date - The moment.
+     * @param {string} [timeZone] - An IANA time zone; defaults to the browser's.
+     * @returns {{iso: string, local: string, timeZone: string}}
+     */
+    const describeDate = (date, timeZone) => {
+        const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        return {
+            iso: date.toISOString(),
+            local: date.toLocaleString('en-US', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' }),
+            timeZone: zone
+        };
+    };
+
+    registerTool({
+        name: 'web_search',
+        description: "Search the web for current information. Returns numbered sources; cite them in the reply as [1], [2] and so on.",
+        parameters: {
+            type: 'object',
+            properties: { query: { type: 'string', description: "What to search for." } },
+            required: ['query']
+        },
+        run: async ({ query }, { signal }) => {
+            const { summary, results } = await postToolRoute('search', { query }, signal);
+            return { summary, sources: results };
+        },
+        stub: async ({ query }) => ({
+            summary: `Offline stand-in results for "${query}".`,
+            sources: [1, 2, 3].map(n => ({
+                title: `Example result ${n} for "${query}"`,
+                url: `https://example.com/search?q=${encodeURIComponent(query)}&result=${n}`,
+                snippet: "A canned search result standing in for a real one."
+            }))
+        })
+    });
+
+    registerTool({
+        name: 'fetch_url',
+        description: "Fetch a web page and summarize it. Use it for links the user shares, or to read a search result in full.",
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', description: "The page's http or https address." },
+                focus: { type: 'string', description: "What the summary should concentrate on, if anything." }
+            },
+            required: ['url']
+        },
+        run: async ({ url, focus }, { signal }) => {
+            const page = await postToolRoute('fetch', { url }, signal);
+            const { text: summary } = await ai.summarize(`Summarize this web page${focus ? `, concentrating on ${focus}` : ''}. Keep the facts, names and numbers a reader would need.\n\nTitle: ${page.title || page.url}\n\n${page.text}`, { signal });
+            return { url: page.url, title: page.title, summary, sources: [{ title: page.title || page.url, url: page.url }] };
+        },
+        stub: async ({ url }) => ({
+            url,
+            title: "Offline page",
+            summary: `An offline stand-in for the page at ${url}.`,
+            sources: [{ title: "Offline page", url }]
+        })
+    });
+
+    // The local tools need no network, so each one is its own stub, except
+    // that the stub clock is fixed to keep offline runs repeatable.
+    const calculate = ({ expression }) => ({ expression, result: evaluateExpression(String(expression)) });
+
+    registerTool({
+        name: 'calculator',
+        description: "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, exp, ln, log (base 10), sin, cos and tan (radians), pi and e.",
+        parameters: {
+            type: 'object',
+            properties: { expression: { type: 'string', description: "For example \"(3.5 + 2) * 4^2\"." } },
+            required: ['expression']
+        },
+        run: calculate,
+        stub: calculate
+    });
+
+    registerTool({
+        name: 'get_datetime',
+        description: "Get the current date and time, in the user's time zone or a given one.",
+        parameters: {
+            type: 'object',
+            properties: { timeZone: { type: 'string', description: "An IANA time zone such as \"Europe/Paris\". Defaults to the user's." } }
+        },
+        run: ({ timeZone }) => describeDate(new Date(), timeZone),
+        stub: ({ timeZone }) => describeDate(new Date('2025-01-01T12:00:00Z'), timeZone)
+    });
+
+    registerTool({
+        name: 'convert_units',
+        description: "Convert a quantity between units of length, mass, volume, time, speed, data size or temperature, e.g. miles to km or °F to °C.",
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number', description: "The quantity to convert." },
+                from: { type: 'string', description: "The unit it is in, e.g. \"mi\", \"lb\" or \"°F\"." },
+                to: { type: 'string', description: "The unit to convert to." }
+            },
+            required: ['value', 'from', 'to']
+        },
+        run: convertUnits,
+        stub: convertUnits
+    });
+
+    // --- Speech Playback ---
+
+    // Prebuilt voices offered in the settings panel, by provider type.
+    const ttsVoices = {
+        gemini: ['Kore', 'Puck', 'Charon', 'Fenrir', 'Aoede', 'Leda', 'Orus', 'Zephyr'],
+        openai: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer']
+    };
+    // The bundled server forwards speech requests to Gemini.
+    ttsVoices.proxy = ttsVoices.gemini;
+
+    const MAX_CACHED_CLIPS = 50;
+
+    /**
+     * Turns Markdown into something worth reading aloud: code blocks are
+     * skipped and formatting characters dropped.
+     * @param {string} text - The Markdown text.
+     * @returns {string} - Plain text.
+     */
+    const toSpeakableText = (text) => text
+        .replace(/```[\s\S]*?(```|$)/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[`*_~#>|]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    /**
+     * Takes the complete sentences off the front of some text.
+     * @param {string} text - The text.
+     * @returns {Array} - `[sentences, rest]`, where `rest` is the unfinished tail.
+     */
+    const takeSentences = (text) => {
+        const sentences = [];
+        let rest = text;
+        let match;
+        while ((match = /^([\s\S]*?[.!?])\s+/.exec(rest))) {
+            sentences.push(match[1]);
+            rest = rest.slice(match[0].length);
+        }
+        return [sentences, rest];
+    };
+
+    /**
+     * Splits text into one chunk per sentence, the same way a streamed reply is
+     * split, so replaying a reply reuses the clips cached while it streamed.
+     * Sentences longer than `maxLength` are broken at commas, then at spaces.
+     * @param {string} text - Plain text.
+     * @param {number} [maxLength] - The chunk size limit.
+     * @returns {Array<string>}
+     */
+    const chunkForSpeech = (text, maxLength = config.playback.chunkSize) => {
+        const [sentences, rest] = takeSentences(text);
+        const chunks = [];
+        [...sentences, rest].forEach(sentence => {
+            let currentChunk = '';
+            (sentence.match(/[^,]+,?\s*|,\s*/g) || []).flatMap(clause => (clause.length > maxLength ? clause.split(/(?<=\s)/) : [clause])).forEach(piece => {
+                if ((currentChunk + piece).length > maxLength && currentChunk.trim()) {
+                    chunks.push(currentChunk.trim());
+                    currentChunk = '';
+                }
+                currentChunk += piece;
+            });
+            if (currentChunk.trim()) chunks.push(currentChunk.trim());
+        });
+        return chunks;
+    };
+
+    /**
+     * Queues synthesized speech and plays it through the shared AudioContext,
+     * one clip at a time. Clips are cached by provider, model, voice and text so
+     * replays never hit the API again.
+     * @returns {object} - The playback manager.
+     */
+    const createPlaybackManager = () => {
+        const cache = new Map();
+        const queue = [];
+        const listeners = new Set();
+        let current = null;
+        let isPaused = false;
+
+        // Everything played passes through this analyser so the animated core can pulse with it.
+        const analyser = refs.audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        analyser.connect(refs.audioContext.destination);
+
+        const notify = () => listeners.forEach(listener => listener());
+
+        const synthesize = (text) => {
+            const { settings } = getProvider('tts');
+            const key = `${settings.provider}|${settings.model}|${settings.voice}|${text}`;
+            let clip = cache.get(key);
+            if (clip) {
+                // Re-insert so the Map's insertion order doubles as least-recently-used order.
+                cache.delete(key);
+            } else {
+                clip = ai.speak(text).then((wavBlob) => {
+                    if (!wavBlob) throw new Error("TTS response missing audio data.");
+                    return wavBlob;
+                });
+                clip.catch(() => cache.delete(key));
+            }
+            cache.set(key, clip);
+            if (cache.size > MAX_CACHED_CLIPS) {
+                cache.delete(cache.keys().next().value);
+            }
+            return clip;
+        };
+
+        const finishCurrent = (item) => {
+            if (current?.item !== item) return;
+            current = null;
+            refs.audioSource = null;
+            playNext();
+        };
+
+        const playNext = async () => {
+            if (current) return;
+            const item = queue.shift();
+            if (!item) {
+                notify();
+                return;
+            }
+            current = { item, source: null };
+            item.clip = item.clip || synthesize(item.text);
+            if (queue[0]) queue[0].clip = queue[0].clip || synthesize(queue[0].text);
+            notify();
+
+            try {
+                const wavBlob = await item.clip;
+                const buffer = await refs.audioContext.decodeAudioData(await wavBlob.arrayBuffer());
+                if (current?.item !== item) return;
+                const source = refs.audioContext.createBufferSource();
+                source.buffer = buffer;
+                source.playbackRate.value = config.playback.rate;
+                source.connect(analyser);
+                source.onended = () => finishCurrent(item);
+                current.source = source;
+                refs.audioSource = source;
+                if (!isPaused && refs.audioContext.state === 'suspended') {
+                    await refs.audioContext.resume();
+                }
+                source.start();
+            } catch (error) {
+                console.error("Error playing synthesized speech:", error);
+                finishCurrent(item);
+            }
+        };
+
+        return {
+            /**
+             * Adds text to the end of the queue, chunked for the TTS provider.
+             * @param {string} text - Markdown or plain text.
+             * @param {{messageId?: string}} [options] - The message being read.
+             */
+            speak: (text, { messageId = null } = {}) => {
+                chunkForSpeech(toSpeakableText(text)).forEach(chunk => queue.push({ text: chunk, messageId, clip: null }));
+                playNext();
+            },
+            /**
+             * Stops whatever is playing and reads the given text instead.
+             * @param {string} text - Markdown or plain text.
+             * @param {{messageId?: string}} [options] - The message being read.
+             */
+            replay: function (text, options) {
+                this.stop();
+                this.speak(text, options);
+            },
+            pause: () => {
+                if (!current || isPaused) return;
+                isPaused = true;
+                refs.audioContext.suspend();
+                notify();
+            },
+            resume: () => {
+                if (!isPaused) return;
+                isPaused = false;
+                refs.audioContext.resume();
+                notify();
+            },
+            skip: () => {
+                if (!current) return;
+                if (current.source) {
+                    current.source.stop();
+                } else {
+                    finishCurrent(current.item);
+                }
+            },
+            stop: () => {
+                queue.length = 0;
+                const playing = current;
+                current = null;
+                refs.audioSource = null;
+                if (playing?.source) playing.source.stop();
+                if (isPaused) {
+                    isPaused = false;
+                    refs.audioContext.resume();
+                }
+                notify();
+            },
+            getState: () => ({
+                isActive: Boolean(current),
+                isPaused,
+                queued: queue.length,
+                messageId: current?.item.messageId || null
+            }),
+            subscribe: (listener) => listeners.add(listener),
+            analyser
+        };
+    };
+
+    const ttsPlayer = createPlaybackManager();
+
+    /**
+     * Speaks a streamed reply as it arrives: each complete sentence is queued
+     * as soon as it ends, and fenced code blocks are skipped.
+     * @param {string} messageId - The reply being read.
+     * @returns {{push: Function, finish: Function, cancel: Function}}
+     */
+    const createSentenceSpeaker = (messageId) => {
+        let buffer = '';
+        let cancelled = false;
+
+        const enqueue = (sentences) => sentences.forEach(sentence => {
+            if (!cancelled && toSpeakableText(sentence)) ttsPlayer.speak(sentence, { messageId });
+        });
+
+        const drain = (final) => {
+            while (true) {
+                const fence = buffer.indexOf('```');
+                if (fence === -1) {
+                    const [sentences, rest] = takeSentences(buffer);
+                    enqueue(final ? [...sentences, rest] : sentences);
+                    buffer = final ? '' : rest;
+                    return;
+                }
+                const [sentences, rest] = takeSentences(buffer.slice(0, fence));
+                enqueue([...sentences, rest]);
+                const close = buffer.indexOf('```', fence + 3);
+                if (close === -1) {
+                    buffer = final ? '' : buffer.slice(fence);
+                    return;
+                }
+                buffer = buffer.slice(close + 3);
+            }
+        };
+
+        return {
+            push: (token) => {
+                buffer += token;
+                drain(false);
+            },
+            finish: () => drain(true),
+            cancel: () => {
+                cancelled = true;
+                buffer = '';
+            }
+        };
+    };
+
+    /**
+     * Shows the playback bar while speech is queued or playing and marks the
+     * message being read.
+     */
+    const renderPlaybackControls = () => {
+        const { isActive, isPaused, queued, messageId } = ttsPlayer.getState();
+        elements.playbackControls.style.display = isActive ? 'flex' : 'none';
+        elements.chatHistoryDiv.querySelectorAll('.chat-message').forEach(node => {
+            node.classList.toggle('speaking', Boolean(messageId) && node.dataset.messageId === messageId);
+        });
+        elements.playbackStatus.textContent = isPaused ? 'Paused' : `Speaking${queued ? ` (${queued} more queued)` : '...'}`;
+        elements.playbackPauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+    };
+
+    ttsPlayer.subscribe(renderPlaybackControls);
+
+    // --- Voice Mode ---
+
+    // Languages offered for speech recognition, as BCP 47 tags.
+    const recognitionLanguages = {
+        'en-US': 'English (US)',
+        'en-GB': 'English (UK)',
+        'es-ES': 'Spanish',
+        'fr-FR': 'French',
+        'de-DE': 'German',
+        'it-IT': 'Italian',
+        'pt-BR': 'Portuguese (Brazil)',
+        'nl-NL': 'Dutch',
+        'hi-IN': 'Hindi',
+        'ja-JP': 'Japanese',
+        'ko-KR': 'Korean',
+        'zh-CN': 'Chinese (Mandarin)'
+    };
+
+    // What has been heard since the last message was sent.
+    const voiceTurn = {
+        transcript: '',
+        silenceTimer: null,
+        // Set once the wake phrase has been heard on its own, so the next utterance counts.
+        isAwake: false
+    };
+
+    /**
+     * Strips the wake phrase from the start of an utterance.
+     * @param {string} text - The recognized text.
+     * @returns {string|null} - What followed the wake phrase, or null if it was not said.
+     */
+    const stripWakePhrase = (text) => {
+        const wakePhrase = config.voice.wakePhrase.trim();
+        if (!wakePhrase || voiceTurn.isAwake) return text;
+        const match = new RegExp(`^\\W*${escapeRegExp(wakePhrase)}\\b[\\s,.:;!?]*`, 'i').exec(text);
+        return match ? text.slice(match[0].length) : null;
+    };
+
+    /**
+     * Forgets what has been heard so far, e.g. once it has been sent.
+     */
+    const discardVoiceTurn = () => {
+        clearTimeout(voiceTurn.silenceTimer);
+        voiceTurn.transcript = '';
+    };
+
+    /**
+     * Shows the voice session's phase in the input placeholder.
+     */
+    const renderVoiceStatus = () => {
+        if (!state.isVoiceMode) return;
+        const wakeHint = config.voice.wakePhrase && !voiceTurn.isAwake ? ` Say "${config.voice.wakePhrase}, ..."` : '';
+        elements.messageInput.placeholder = state.isLoading ? "Thinking..." : ttsPlayer.getState().isActive ? "Speaking... talk to interrupt" : `Listening...${wakeHint}`;
+    };
+
+    /**
+     * Sends what was heard once the user has been silent for
+     * `config.voice.silenceTimeout` milliseconds.
+     */
+    const commitVoiceTurn = () => {
+        if (state.isLoading) {
+            // The reply that was interrupted is still winding down.
+            voiceTurn.silenceTimer = setTimeout(commitVoiceTurn, config.voice.silenceTimeout);
+            return;
+        }
+        const heard = voiceTurn.transcript.trim();
+        discardVoiceTurn();
+        const message = heard && stripWakePhrase(heard);
+        if (message === null || !heard) {
+            state.inputValue = '';
+            elements.messageInput.value = '';
+            updateUI();
+            return;
+        }
+        if (!message.trim()) {
+            // Only the wake phrase was said: wait for the request itself.
+            voiceTurn.isAwake = true;
+            state.inputValue = '';
+            elements.messageInput.value = '';
+            renderVoiceStatus();
+            return;
+        }
+        voiceTurn.isAwake = false;
+        sendMessage(message.trim());
+    };
+
+    /**
+     * Handles recognition results: stops VISION talking and cancels the reply
+     * in progress (barge-in), shows the transcript live in the input and
+     * restarts the silence timer.
+     * @param {SpeechRecognitionEvent} event - The recognition event.
+     */
+    const handleRecognitionResult = (event) => {
+        if (ttsPlayer.getState().isActive) ttsPlayer.stop();
+        refs.abortController?.abort();
+
+        let interim = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (result.isFinal) {
+                voiceTurn.transcript += `${result[0].transcript} `;
+            } else {
+                interim += result[0].transcript;
+            }
+        }
+        state.inputValue = `${voiceTurn.transcript}${interim}`.trim();
+        elements.messageInput.value = state.inputValue;
+        updateUI();
+
+        clearTimeout(voiceTurn.silenceTimer);
+        voiceTurn.silenceTimer = setTimeout(commitVoiceTurn, config.voice.silenceTimeout);
+    };
+
+    /**
+     * Creates the continuous SpeechRecognition instance, or returns null if the
+     * browser has none. It restarts itself whenever the browser ends it while
+     * voice mode is still on, backing off after errors; after
+     * `config.voice.maxFailures` errors in a row voice mode is turned off.
+     * @returns {SpeechRecognition|null}
+     */
+    const createRecognition = () => {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) return null;
+        const recognition = new SpeechRecognition();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        let failures = 0;
+
+        recognition.onstart = () => {
+            state.isListening = true;
+            updateUI();
+        };
+        recognition.onresult = (event) => {
+            failures = 0;
+            handleRecognitionResult(event);
+        };
+        recognition.onerror = (event) => {
+            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                stopVoiceMode();
+                alert("Microphone access was denied, so voice mode has been turned off.");
+            } else if (event.error === 'audio-capture') {
+                stopVoiceMode();
+                alert("No microphone was found, so voice mode has been turned off.");
+            } else if (event.error !== 'no-speech' && event.error !== 'aborted') {
+                console.error('Speech recognition error:', event.error);
+                failures++;
+                if (failures >= config.voice.maxFailures) {
+                    failures = 0;
+                    stopVoiceMode();
+                    alert(`Speech recognition keeps failing (${event.error}), so voice mode has been turned off.`);
+                }
+            }
+        };
+        recognition.onend = () => {
+            if (!state.isVoiceMode) {
+                failures = 0;
+                state.isListening = false;
+                updateUI();
+                return;
+            }
+            if (failures === 0) {
+                recognition.start();
+                return;
+            }
+            // Not listening while it waits to try again.
+            state.isListening = false;
+            updateUI();
+            setTimeout(() => {
+                if (!state.isVoiceMode) return;
+                try {
+                    recognition.start();
+                } catch (error) {
+                    // Voice mode was turned off and on again meanwhile, which already started it.
+                }
+            }, Math.min(config.retry.baseDelay * Math.pow(2, failures - 1), 10000));
+        };
+        return recognition;
+    };
+
+    /**
+     * Opens the microphone alongside speech recognition so the animated core
+     * can react to the user's voice. Recognition works without it. Only one
+     * stream is ever open: a request still waiting for permission is reused
+     * when voice mode is turned off and on again.
+     */
+    const startMicMeter = async () => {
+        if (!navigator.mediaDevices?.getUserMedia || refs.micRequest || refs.micStream) return;
+        refs.micRequest = navigator.mediaDevices.getUserMedia({ audio: true });
+        try {
+            refs.micStream = await refs.micRequest;
+            if (!state.isVoiceMode) {
+                stopMicMeter();
+                return;
+            }
+            refs.micAnalyser = refs.audioContext.createAnalyser();
+            refs.micAnalyser.fftSize = 512;
+            refs.micSource = refs.audioContext.createMediaStreamSource(refs.micStream);
+            refs.micSource.connect(refs.micAnalyser);
+        } catch (error) {
+            console.warn('Microphone level unavailable:', error);
+        } finally {
+            refs.micRequest = null;
+        }
+    };
+
+    /**
+     * Releases the microphone opened by `startMicMeter`.
+     */
+    const stopMicMeter = () => {
+        refs.micSource?.disconnect();
+        refs.micStream?.getTracks().forEach(track => track.stop());
+        refs.micSource = null;
+        refs.micStream = null;
+        refs.micAnalyser = null;
+    };
+
+    /**
+     * Starts a hands-free session: listen, send after a pause, think, speak the
+     * reply, and listen again until the user ends it.
+     */
+    const startVoiceMode = () => {
+        refs.recognition = refs.recognition || createRecognition();
+        if (!refs.recognition) {
+            alert("Speech recognition is not supported in this browser.");
+            return;
+        }
+        refs.recognition.lang = config.voice.language;
+        Object.assign(voiceTurn, { transcript: '', isAwake: false });
+        state.isVoiceMode = true;
+        try {
+            refs.recognition.start();
+        } catch (error) {
+            // Still stopping from the last session; `onend` restarts it now that voice mode is on.
+        }
+        startMicMeter();
+        updateUI();
+    };
+
+    /**
+     * Ends the hands-free session, discarding anything not yet sent.
+     */
+    const stopVoiceMode = () => {
+        state.isVoiceMode = false;
+        discardVoiceTurn();
+        refs.recognition?.stop();
+        stopMicMeter();
+        updateUI();
+    };
+
+    /**
+     * Turns voice mode on and off.
+     */
+    const handleVoiceToggle = () => {
+        if (state.isVoiceMode) {
+            stopVoiceMode();
+        } else {
+            startVoiceMode();
+        }
+    };
+
+    ttsPlayer.subscribe(renderVoiceStatus);
+
+    // --- Conversation Context ---
+
+    // Base64 encodings of image Blobs, so each image is only encoded once per page load.
+    const base64Cache = new WeakMap();
+
+    /**
+     * Encodes an image Blob as a Gemini `inlineData` part.
+     * @param {Blob} blob - The image.
+     * @returns {Promise<{inlineData: {mimeType: string, data: string}}>}
+     */
+    const blobToInlineData = async (blob) => {
+        if (!base64Cache.has(blob)) {
+            base64Cache.set(blob, await fileToBase64(blob));
+        }
+        return { inlineData: { mimeType: blob.type, data: base64Cache.get(blob) } };
+    };
+
+    /**
+     * Roughly estimates how many tokens a chat message costs (about four
+     * characters per token, plus a flat charge per image).
+     * @param {{text: string, imageBlobs: Array<Blob>}} msg - The chat message.
+     * @returns {number} - The estimated token count.
+     */
+    const estimateTokens = (msg) =>
+        Math.ceil((msg.text || '').length / 4) + msg.imageBlobs.length * config.context.imageTokens;
+
+    /**
+     * Formats chat messages as a plain "User: ... / VISION: ..." transcript.
+     * @param {Array<object>} messages - The chat messages.
+     * @returns {string} - The transcript.
+     */
+    const formatTranscript = (messages) =>
+        messages.map(msg => `${msg.role === 'user' ? 'User' : 'VISION'}: ${msg.text}${msg.imageBlobs.length ? ` [${msg.imageBlobs.length} image(s)]` : ''}`).join('\n');
+
+    /**
+     * Builds the summarization prompt for a set of messages, optionally
+     * continuing an earlier summary.
+     * @param {Array<object>} messages - The messages to summarize.
+     * @param {string} [previousSummary] - A summary of everything before `messages`.
+     * @returns {string} - The prompt.
+     */
+    const buildSummaryPrompt = (messages, previousSummary = '') => {
+        const earlier = previousSummary ? `Summary of the earlier part of the conversation:\n${previousSummary}\n\n` : '';
+        return `Please provide a concise summary of the following conversation:\n\n${earlier}${formatTranscript(messages)}\n\nSummary:`;
+    };
+
+    /**
+     * Chat messages that belong in the model's context. Status placeholders
+     * such as "Analyzing the image provided..." are left out.
+     * @returns {Array<object>}
+     */
+    const getContextMessages = () => state.chatHistory.filter(msg => !msg.isStatus);
+
+    /**
+     * Converts a chat message into a Gemini-style conversation turn.
+     * @param {object} msg - The chat message.
+     * @returns {Promise<{role: string, parts: Array<object>}>}
+     */
+    const toContentTurn = async (msg) => {
+        const parts = [];
+        const imageCount = msg.imageBlobs.length;
+        const text = msg.text || (imageCount && msg.role === 'user' ? (imageCount > 1 ? "What is in these images?" : "What is in this image?") : '');
+        if (text) parts.push({ text });
+        parts.push(...await Promise.all(msg.imageBlobs.map(blobToInlineData)));
+        return { role: msg.role === 'user' ? 'user' : 'model', parts };
+    };
+
+    /**
+     * Merges consecutive same-role turns so the conversation strictly
+     * alternates user/model and always opens with a user turn.
+     * @param {Array<object>} turns - The conversation turns.
+     * @returns {Array<object>} - The normalized turns.
+     */
+    const normalizeTurns = (turns) => {
+        const normalized = [];
+        turns.filter(turn => turn.parts.length > 0).forEach(turn => {
+            const previous = normalized[normalized.length - 1];
+            if (previous && previous.role === turn.role) {
+                previous.parts.push(...turn.parts);
+            } else {
+                normalized.push({ role: turn.role, parts: [...turn.parts] });
+            }
+        });
+        if (normalized[0]?.role === 'model') {
+            normalized.unshift({ role: 'user', parts: [{ text: "(Earlier messages omitted.)" }] });
+        }
+        return normalized;
+    };
+
+    /**
+     * Folds messages that no longer fit in the token budget into the rolling
+     * summary. Failures keep the previous summary so the reply can still go out;
+     * only Stop is passed on, as an `AbortError`.
+     * @param {Array<object>} olderMessages - Every message outside the budget window.
+     * @param {AbortSignal} [signal] - The turn's abort signal.
+     */
+    const updateContextSummary = async (olderMessages, signal) => {
+        const summary = state.contextSummary;
+        const unsummarized = olderMessages.slice(summary.coveredCount);
+        if (unsummarized.length === 0) return;
+        try {
+            const { text } = await ai.summarize(buildSummaryPrompt(unsummarized, summary.text), { signal });
+            if (text) {
+                state.contextSummary = { text, coveredCount: olderMessages.length, coveredUntilId: olderMessages.at(-1).id };
+                const session = getActiveSession();
+                if (session) {
+                    session.contextSummary = state.contextSummary;
+                    saveSession(session);
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Context summarization failed:', error);
+        }
+    };
+
+    /**
+     * Builds the `contents` for the next request: the most recent messages that
+     * fit in the token budget, preceded by a rolling summary of older ones.
+     * @param {{reservedTokens?: number, signal?: AbortSignal}} [options] - Tokens
+     * of the budget taken by what else goes into the request, e.g. document
+     * excerpts, and the turn's abort signal, which also cancels the summary.
+     * @returns {Promise<Array<object>>} - Alternating user/model turns.
+     */
+    const buildConversationContents = async ({ reservedTokens = 0, signal } = {}) => {
+        const messages = getContextMessages();
+        // A summary written on another branch does not describe this one.
+        const { coveredCount, coveredUntilId } = state.contextSummary;
+        if (coveredUntilId && messages[coveredCount - 1]?.id !== coveredUntilId) {
+            state.contextSummary = { text: '', coveredCount: 0 };
+        }
+        let budget = config.context.tokenBudget - reservedTokens - Math.ceil(state.contextSummary.text.length / 4);
+        let start = messages.length;
+        // The newest message is always sent, even when it alone exceeds the budget.
+        while (start > 0) {
+            const cost = estimateTokens(messages[start - 1]);
+            if (cost > budget && start < messages.length) break;
+            budget -= cost;
+            start--;
+        }
+
+        if (start > 0) {
+            await updateContextSummary(messages.slice(0, start), signal);
+        }
+
+        const turns = await Promise.all(messages.slice(start).map(toContentTurn));
+        if (start > 0 && state.contextSummary.text) {
+            turns.unshift({ role: 'user', parts: [{ text: `Summary of our earlier conversation:\n${state.contextSummary.text}` }] });
+        }
+        return normalizeTurns(turns);
+    };
+
+    // --- Conversation Storage ---
+
+    const DB_NAME = 'vision-assistant';
+    const DB_VERSION = 3;
+    const ACTIVE_SESSION_KEY = 'vision.activeSessionId';
+
+    /**
+     * Wraps an IDBRequest in a promise.
+     * @param {IDBRequest} request - The request.
+     * @returns {Promise<*>} - Resolves with the request's result.
+     */
+    const requestToPromise = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    /**
+     * Opens (and on first run creates) the IndexedDB database. Sessions and
+     * messages live in separate stores so a session can be listed without
+     * loading its images. Version 2 adds the documents attached to sessions,
+     * version 3 the requests queued while offline.
+     * An upgrade waits until tabs still holding the old version close it, and
+     * this tab gives the database up when a newer version is opened elsewhere.
+     * @returns {Promise<IDBDatabase>}
+     */
+    const openDatabase = () => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                db.createObjectStore('sessions', { keyPath: 'id' });
+                const messages = db.createObjectStore('messages', { keyPath: 'id' });
+                messages.createIndex('sessionId', 'sessionId');
+            }
+            if (event.oldVersion < 2) {
+                const documents = db.createObjectStore('documents', { keyPath: 'id' });
+                documents.createIndex('sessionId', 'sessionId');
+            }
+            if (event.oldVersion < 3) {
+                const offlineQueue = db.createObjectStore('offlineQueue', { keyPath: 'id' });
+                offlineQueue.createIndex('sessionId', 'sessionId');
+            }
+        };
+        request.onblocked = () => {
+            alert("VISION needs to update its saved conversations, but it is still open in another tab. Close VISION in your other tabs to continue.");
+        };
+        return requestToPromise(request).then((db) => {
+            db.onversionchange = () => {
+                db.close();
+                refs.db = null;
+                alert("VISION was updated in another tab. Reload this tab; until then, changes here won't be saved.");
+            };
+            return db;
+        });
+    };
+
+    /**
+     * Runs `fn` against an object store. Without a database (e.g. IndexedDB is
+     * blocked in a private window) it does nothing and the app stays in-memory.
+     * @param {string} storeName - The object store.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {Function} fn - Receives the store and returns a request or value.
+     * @returns {Promise<*>}
+     */
+    const withStore = async (storeName, mode, fn) => {
+        if (!refs.db) return null;
+        const transaction = refs.db.transaction(storeName, mode);
+        const result = fn(transaction.objectStore(storeName));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return result instanceof IDBRequest ? result.result : result;
+    };
+
+    let lastTimestamp = 0;
+
+    /**
+     * Returns a strictly increasing millisecond timestamp so messages created
+     * in the same tick still sort in the order they were added.
+     * @returns {number}
+     */
+    const nextTimestamp = () => {
+        lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+        return lastTimestamp;
+    };
+
+    /**
+     * Creates a chat message. Images are kept as Blobs, with object URLs for display.
+     * Generated images also keep the prompt that produced them.
+     * Error bubbles are status messages that also carry `error`. Replies record
+     * the tools they called in `toolCalls` and the sources found in `citations`.
+     * @param {{role: string, text: string, imageBlobs?: Array<Blob>, imagePrompt?: string, isStatus?: boolean, error?: object}} fields - Message fields.
+     * @returns {object} - The new message, observed by the store.
+     */
+    const createMessage = ({ role, text, imageBlobs = [], imagePrompt = null, isStatus = false, error = null }) => store.observe({
+        id: crypto.randomUUID(),
+        role,
+        text,
+        imageBlobs,
+        imageUrls: imageBlobs.map(blob => URL.createObjectURL(blob)),
+        imagePrompt,
+        parentId: null,
+        isPinned: false,
+        createdAt: nextTimestamp(),
+        isStatus,
+        error,
+        toolCalls: [],
+        citations: []
+    });
+
+    /**
+     * The images of a stored message record.
+     * @param {object} record - The IndexedDB record.
+     * @returns {Array<Blob>}
+     */
+    const storedImages = (record) => {
+        // Records saved before multi-image messages hold a single `image`.
+        return record.images || (record.image ? [record.image] : []);
+    };
+
+    /**
+     * Converts a stored record back into an in-memory chat message.
+     * @param {object} record - The IndexedDB record.
+     * @returns {object} - The chat message.
+     */
+    const fromStoredMessage = (record) => {
+        const imageBlobs = storedImages(record);
+        return store.observe({
+            id: record.id,
+            role: record.role,
+            text: record.text,
+            imageBlobs,
+            imageUrls: imageBlobs.map(blob => URL.createObjectURL(blob)),
+            imagePrompt: record.imagePrompt || null,
+            parentId: record.parentId ?? null,
+            isPinned: Boolean(record.isPinned),
+            createdAt: record.createdAt,
+            isStatus: false,
+            error: null,
+            toolCalls: record.toolCalls || [],
+            citations: record.citations || []
+        });
+    };
+
+    /**
+     * Persists a chat message to the active session. Status placeholders are not stored.
+     * @param {object} msg - The chat message.
+     */
+    const saveMessage = async (msg) => {
+        if (msg.isStatus) return;
+        try {
+            await withStore('messages', 'readwrite', store => store.put({
+                id: msg.id,
+                sessionId: state.activeSessionId,
+                role: msg.role,
+                text: msg.text,
+                images: msg.imageBlobs,
+                imagePrompt: msg.imagePrompt,
+                parentId: msg.parentId,
+                isPinned: msg.isPinned,
+                toolCalls: msg.toolCalls,
+                citations: msg.citations,
+                createdAt: msg.createdAt
+            }));
+            await touchActiveSession(msg);
+        } catch (error) {
+            console.error('Failed to save message:', error);
+        }
+    };
+
+    /**
+     * Appends a message to the branch being shown, as a child of its last
+     * message, without saving it. Status messages stay out of the tree.
+     * @param {object} msg - A message from `createMessage`.
+     * @returns {object} - The same message.
+     */
+    const appendToBranch = (msg) => {
+        if (!msg.isStatus) {
+            msg.parentId = getContextMessages().at(-1)?.id || null;
+            state.messages = [...state.messages, msg];
+            const session = getActiveSession();
+            if (session) session.activeLeafId = msg.id;
+        }
+        state.chatHistory = [...state.chatHistory, msg];
+        return msg;
+    };
+
+    /**
+     * Takes an unsaved message back off the shown branch, e.g. a reply that
+     * failed before any text arrived, or a dismissed error.
+     * @param {object} msg - The message.
+     */
+    const removeFromBranch = (msg) => {
+        state.chatHistory = state.chatHistory.filter(item => item !== msg);
+        if (msg.isStatus) return;
+        state.messages = state.messages.filter(item => item !== msg);
+        const session = getActiveSession();
+        if (session?.activeLeafId === msg.id) session.activeLeafId = msg.parentId;
+    };
+
+    /**
+     * Adds a message to the open conversation and persists it.
+     * @param {object} msg - A message from `createMessage`.
+     * @returns {object} - The same message.
+     */
+    const addMessage = (msg) => {
+        appendToBranch(msg);
+        saveMessage(msg);
+        return msg;
+    };
+
+    /**
+     * Loads every message of a session, oldest first.
+     * @param {string} sessionId - The session id.
+     * @returns {Promise<Array<object>>}
+     */
+    const loadMessages = async (sessionId) => {
+        const records = await withStore('messages', 'readonly', store => store.index('sessionId').getAll(sessionId)) || [];
+        let previousId = null;
+        return records.sort((a, b) => a.createdAt - b.createdAt).map(record => {
+            const msg = fromStoredMessage(record);
+            // Messages saved before branching existed form a single chain.
+            if (record.parentId === undefined) msg.parentId = previousId;
+            previousId = msg.id;
+            return msg;
+        });
+    };
+
+    /**
+     * Persists a session record.
+     * @param {object} session - The session.
+     */
+    const saveSession = async (session) => {
+        try {
+            await withStore('sessions', 'readwrite', store => store.put(session));
+        } catch (error) {
+            console.error('Failed to save session:', error);
+        }
+    };
+
+    // --- Sessions ---
+
+    /**
+     * The session record for the open conversation.
+     * @returns {object|undefined}
+     */
+    const getActiveSession = () => state.sessions.find(session => session.id === state.activeSessionId);
+
+    /**
+     * Bumps the active session's `updatedAt` and names untitled sessions after
+     * their first user message.
+     * @param {object} msg - The message that was just saved.
+     */
+    const touchActiveSession = async (msg) => {
+        const session = getActiveSession();
+        if (!session) return;
+        session.updatedAt = Date.now();
+        if (!session.isTitled && msg.role === 'user' && msg.text.trim()) {
+            session.title = msg.text.trim().slice(0, 40);
+            session.isTitled = true;
+        }
+        await saveSession(session);
+        renderSessionList();
+    };
+
+    /**
+     * Releases the object URLs held by the open conversation's images.
+     */
+    const releaseImageUrls = () => {
+        state.messages.forEach(msg => {
+            msg.imageUrls.forEach(url => URL.revokeObjectURL(url));
+        });
+    };
+
+    /**
+     * Opens a session: loads its messages, documents, queued requests and
+     * rolling summary and remembers it as the last active session. Requests
+     * it queued while offline are sent if the connection is back.
+     * @param {string} sessionId - The session to open.
+     */
+    const switchSession = async (sessionId) => {
+        const session = state.sessions.find(item => item.id === sessionId);
+        if (!session || state.isLoading) return;
+        releaseImageUrls();
+        state.activeSessionId = session.id;
+        state.messages = await loadMessages(session.id);
+        state.documents = await loadDocuments(session.id);
+        state.offlineQueue = await loadOfflineQueue(session.id);
+        const leafId = state.messages.some(msg => msg.id === session.activeLeafId) ? session.activeLeafId : latestLeaf(null)?.id;
+        state.chatHistory = pathTo(leafId);
+        state.contextSummary = session.contextSummary || { text: '', coveredCount: 0 };
+        localStorage.setItem(ACTIVE_SESSION_KEY, session.id);
+        renderSessionList();
+        updateUI();
+        jumpToLatest();
+        if (state.offlineQueue.length) setTimeout(flushOfflineQueue);
+    };
+
+    /**
+     * Creates an empty session and opens it.
+     */
+    const createSession = async () => {
+        const now = Date.now();
+        const session = {
+            id: crypto.randomUUID(),
+            title: 'New conversation',
+            isTitled: false,
+            createdAt: now,
+            updatedAt: now,
+            activeLeafId: null,
+            // New conversations keep the persona of the one that was open.
+            personaId: activePersona()?.id || null,
+            contextSummary: { text: '', coveredCount: 0 }
+        };
+        state.sessions = [session, ...state.sessions];
+        await saveSession(session);
+        await switchSession(session.id);
+    };
+
+    /**
+     * Renames a session after prompting for a new title.
+     * @param {string} sessionId - The session to rename.
+     */
+    const renameSession = async (sessionId) => {
+        const session = state.sessions.find(item => item.id === sessionId);
+        if (!session) return;
+        const title = prompt("Rename conversation:", session.title);
+        if (!title || !title.trim()) return;
+        session.title = title.trim();
+        session.isTitled = true;
+        await saveSession(session);
+        renderSessionList();
+    };
+
+    /**
+     * Deletes every stored message of a session.
+     * @param {string} sessionId - The session id.
+     */
+    const deleteSessionMessages = async (sessionId) => {
+        const messageIds = await withStore('messages', 'readonly', store => store.index('sessionId').getAllKeys(sessionId)) || [];
+        await withStore('messages', 'readwrite', store => messageIds.forEach(id => store.delete(id)));
+    };
+
+    /**
+     * Empties the open conversation, keeping the session itself.
+     */
+    const clearActiveSession = async () => {
+        const session = getActiveSession();
+        try {
+            await deleteSessionMessages(state.activeSessionId);
+            await deleteSessionQueue(state.activeSessionId);
+        } catch (error) {
+            console.error('Failed to clear conversation:', error);
+        }
+        releaseImageUrls();
+        state.messages = [];
+        state.offlineQueue = [];
+        state.chatHistory = [];
+        state.contextSummary = { text: '', coveredCount: 0 };
+        if (session) {
+            session.activeLeafId = null;
+            session.contextSummary = state.contextSummary;
+            await saveSession(session);
+        }
+        updateUI();
+    };
+
+    /**
+     * Deletes a session with all of its messages, documents and queued requests after
+     * confirmation. The open session can't be deleted while a reply is on its
+     * way, since the reply would be saved under the deleted session.
+     * @param {string} sessionId - The session to delete.
+     */
+    const deleteSession = async (sessionId) => {
+        const session = state.sessions.find(item => item.id === sessionId);
+        if (!session || (state.isLoading && sessionId === state.activeSessionId) || !confirm(`Delete "${session.title}"? This cannot be undone.`)) return;
+        try {
+            await deleteSessionMessages(sessionId);
+            await deleteSessionDocuments(sessionId);
+            await deleteSessionQueue(sessionId);
+            await withStore('sessions', 'readwrite', store => store.delete(sessionId));
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+        }
+        state.sessions = state.sessions.filter(item => item.id !== sessionId);
+        if (sessionId !== state.activeSessionId) {
+            renderSessionList();
+        } else if (state.sessions.length > 0) {
+            await switchSession(state.sessions[0].id);
+        } else {
+            await createSession();
+        }
+    };
+
+    /**
+     * Finds the sessions whose title or messages contain the sidebar query.
+     * @param {string} query - The search text.
+     * @returns {Promise<Set<string>>} - Matching session ids.
+     */
+    const searchSessions = async (query) => {
+        const needle = query.toLowerCase();
+        const matches = new Set(state.sessions.filter(session => session.title.toLowerCase().includes(needle)).map(session => session.id));
+        const records = await withStore('messages', 'readonly', store => store.getAll()) || [];
+        records.forEach(record => {
+            if ((record.text || '').toLowerCase().includes(needle)) matches.add(record.sessionId);
+        });
+        return matches;
+    };
+
+    // Bumped on every render, so a slower, older render can't overwrite a newer one.
+    let sessionListToken = 0;
+
+    /**
+     * Renders the session sidebar, most recently updated first.
+     */
+    const renderSessionList = async () => {
+        const token = ++sessionListToken;
+        const query = state.sessionQuery.trim();
+        const matches = query ? await searchSessions(query) : null;
+        if (token !== sessionListToken) return;
+        const sessions = [...state.sessions]
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .filter(session => !matches || matches.has(session.id));
+
+        elements.sessionList.innerHTML = '';
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = `session-item${session.id === state.activeSessionId ? ' active' : ''}`;
+
+            const openButton = document.createElement('button');
+            openButton.type = 'button';
+            openButton.className = 'session-title';
+            openButton.textContent = session.title;
+            openButton.title = new Date(session.updatedAt).toLocaleString();
+            openButton.addEventListener('click', () => switchSession(session.id));
+
+            const renameButton = document.createElement('button');
+            renameButton.type = 'button';
+            renameButton.className = 'session-action';
+            renameButton.textContent = 'Rename';
+            renameButton.addEventListener('click', () => renameSession(session.id));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'session-action';
+            deleteButton.textContent = 'Delete';
+            deleteButton.disabled = state.isLoading && session.id === state.activeSessionId;
+            deleteButton.addEventListener('click', () => deleteSession(session.id));
+
+            item.append(openButton, renameButton, deleteButton);
+            elements.sessionList.appendChild(item);
+        });
+
+        if (sessions.length === 0) {
+            elements.sessionList.innerHTML = '<li class="session-empty">No conversations found.</li>';
+        }
+    };
+
+    // Settles once the saved sessions are loaded and one of them is open; set at initialization.
+    let sessionsReady = null;
+
+    // The open session's Delete button is disabled while a request runs.
+    store.subscribe(({ keys }) => {
+        if (keys.has('isLoading')) renderSessionList();
+    });
+
+    /**
+     * Opens the database, loads the session list and restores the last active session.
+     */
+    const initSessions = async () => {
+        try {
+            refs.db = await openDatabase();
+        } catch (error) {
+            console.error('IndexedDB unavailable, conversations will not be saved:', error);
+        }
+        try {
+            state.sessions = await withStore('sessions', 'readonly', store => store.getAll()) || [];
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+        const lastSessionId = localStorage.getItem(ACTIVE_SESSION_KEY);
+        if (state.sessions.some(session => session.id === lastSessionId)) {
+            await switchSession(lastSessionId);
+        } else if (state.sessions.length > 0) {
+            await switchSession([...state.sessions].sort((a, b) => b.updatedAt - a.updatedAt)[0].id);
+        } else {
+            await createSession();
+        }
+    };
+
+    // --- Personas ---
+
+    const PERSONAS_KEY = 'vision.personas';
+
+    // Gemini harm categories a persona can set a blocking threshold for.
+    const safetyCategories = {
+        HARM_CATEGORY_HARASSMENT: 'Harassment',
+        HARM_CATEGORY_HATE_SPEECH: 'Hate speech',
+        HARM_CATEGORY_SEXUALLY_EXPLICIT: 'Sexual content',
+        HARM_CATEGORY_DANGEROUS_CONTENT: 'Dangerous content'
+    };
+
+    // Blocking thresholds, from least to most strict. An empty value keeps the provider's default.
+    const safetyThresholds = {
+        '': 'Default',
+        BLOCK_NONE: 'Block none',
+        BLOCK_ONLY_HIGH: 'Block few',
+        BLOCK_MEDIUM_AND_ABOVE: 'Block some',
+        BLOCK_LOW_AND_ABOVE: 'Block most'
+    };
+
+    /**
+     * Creates a persona. Empty fields fall back to the provider settings.
+     * @param {object} [fields] - Fields to set.
+     * @returns {{id: string, name: string, systemInstruction: string, temperature: number|null, topP: number|null, maxOutputTokens: number|null, safety: object, voice: string, model: string}}
+     */
+    const createPersona = (fields = {}) => ({
+        id: crypto.randomUUID(),
+        name: 'New persona',
+        systemInstruction: '',
+        temperature: null,
+        topP: null,
+        maxOutputTokens: null,
+        safety: {},
+        voice: '',
+        model: '',
+        ...fields
+    });
+
+    const defaultPersonas = () => [
+        createPersona({ id: 'vision', name: 'VISION' }),
+        createPersona({
+            id: 'code-reviewer',
+            name: 'Code reviewer',
+            systemInstruction: "You are a careful senior engineer reviewing code. Point out bugs, edge cases and unclear names first, then style. Quote the lines you mean and suggest concrete fixes. Be brief.",
+            temperature: 0.2
+        }),
+        createPersona({
+            id: 'alt-text',
+            name: 'Alt-text writer',
+            systemInstruction: "You write alt text for images. Describe what matters for someone who cannot see the image in one or two plain sentences, without starting with \"Image of\". Transcribe any important text.",
+            temperature: 0.4,
+            maxOutputTokens: 300
+        }),
+        createPersona({
+            id: 'brainstormer',
+            name: 'Brainstormer',
+            systemInstruction: "You are an energetic brainstorming partner. Offer many varied ideas as short bullet points, including a few unusual ones, and build on the user's ideas rather than judging them.",
+            temperature: 1.2,
+            topP: 0.95
+        })
+    ];
+
+    /**
+     * Checks a persona read from storage or an imported file and fills in
+     * missing fields. Numbers are clamped to what the APIs accept.
+     * @param {object} raw - The persona as read.
+     * @returns {object} - A complete persona.
+     */
+    const normalizePersona = (raw) => {
+        if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) {
+            throw new Error("Every persona needs a name.");
+        }
+        const number = (value, min, max) => {
+            if (value === null || value === undefined || value === '') return null;
+            const parsed = Number(value);
+            if (!Number.isFinite(parsed)) throw new Error(`"${raw.name}" has an invalid number: ${value}`);
+            return Math.min(Math.max(parsed, min), max);
+        };
+        const maxOutputTokens = number(raw.maxOutputTokens, 1, 65536);
+        return createPersona({
+            id: typeof raw.id === 'string' && raw.id ? raw.id : crypto.randomUUID(),
+            name: raw.name.trim().slice(0, 60),
+            systemInstruction: String(raw.systemInstruction || ''),
+            temperature: number(raw.temperature, 0, 2),
+            topP: number(raw.topP, 0, 1),
+            maxOutputTokens: maxOutputTokens === null ? null : Math.round(maxOutputTokens),
+            safety: Object.fromEntries(Object.entries(raw.safety || {})
+                .filter(([category, threshold]) => safetyCategories[category] && threshold && safetyThresholds[threshold])),
+            voice: String(raw.voice || '').trim(),
+            model: String(raw.model || '').trim()
+        });
+    };
+
+    /**
+     * Reads the saved personas, or the built-in ones if none were saved.
+     * @returns {Array<object>}
+     */
+    const loadPersonas = () => {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PERSONAS_KEY));
+            if (Array.isArray(stored) && stored.length) return stored.map(normalizePersona);
+        } catch (error) {
+            console.error('Ignoring unreadable saved personas:', error);
+        }
+        return defaultPersonas();
+    };
+
+    /**
+     * Replaces the personas and saves them.
+     * @param {Array<object>} personas - The new list; must not be empty.
+     */
+    const savePersonas = (personas) => {
+        state.personas = personas;
+        localStorage.setItem(PERSONAS_KEY, JSON.stringify(personas));
+    };
+
+    /**
+     * The persona of the open conversation. Conversations whose persona was
+     * deleted fall back to the first one.
+     * @returns {object}
+     */
+    const activePersona = () => {
+        const personaId = getActiveSession()?.personaId;
+        return state.personas.find(persona => persona.id === personaId) || state.personas[0];
+    };
+
+    /**
+     * Switches the open conversation to another persona.
+     * @param {string} personaId - The persona id.
+     */
+    const setSessionPersona = async (personaId) => {
+        const session = getActiveSession();
+        if (!session || state.isLoading || !state.personas.some(persona => persona.id === personaId)) return;
+        session.personaId = personaId;
+        ttsPlayer.stop();
+        updateUI();
+        await saveSession(session);
+    };
+
+    /**
+     * The settings a persona adds to a capability's provider settings: the
+     * model, system instruction and sampling settings for chat and vision
+     * (a turn with images goes to vision, so both use the same model), and
+     * the voice for speech.
+     * @param {string} capability - The capability being used.
+     * @returns {object}
+     */
+    const personaSettings = (capability) => {
+        const persona = activePersona();
+        if (!persona) return {};
+        if (capability === 'tts') {
+            return persona.voice ? { voice: persona.voice } : {};
+        }
+        if (capability !== 'chat' && capability !== 'vision') return {};
+        const { systemInstruction, temperature, topP, maxOutputTokens, safety } = persona;
+        return {
+            ...(persona.model ? { model: persona.model } : {}),
+            generation: { systemInstruction, temperature, topP, maxOutputTokens, safety }
+        };
+    };
+
+    /**
+     * Fills the persona picker in the header.
+     */
+    const renderPersonaPicker = () => {
+        const current = activePersona();
+        const select = elements.personaSelect;
+        select.innerHTML = '';
+        state.personas.forEach(persona => {
+            const option = el('option', null, [persona.name]);
+            option.value = persona.id;
+            option.selected = persona === current;
+            select.appendChild(option);
+        });
+        select.disabled = state.isLoading;
+        select.title = current?.systemInstruction || "No system instruction";
+    };
+
+    state.personas = loadPersonas();
+
+    // --- Conversation Branches ---
+
+    /**
+     * The direct replies to a message, oldest first.
+     * @param {string|null} parentId - The parent's id, or null for the conversation's opening messages.
+     * @returns {Array<object>}
+     */
+    const childrenOf = (parentId) => state.messages.filter(msg => msg.parentId === parentId);
+
+    /**
+     * Every message below a message in the tree.
+     * @param {string} messageId - The message id.
+     * @returns {Array<object>}
+     */
+    const descendantsOf = (messageId) => childrenOf(messageId).flatMap(child => [child, ...descendantsOf(child.id)]);
+
+    /**
+     * The newest message in a subtree. Replies are always newer than what they
+     * answer, so this is the leaf the user most recently worked on.
+     * @param {string|null} messageId - The subtree's root, or null for the whole conversation.
+     * @returns {object|null}
+     */
+    const latestLeaf = (messageId) => {
+        const subtree = messageId === null ? state.messages : [state.messages.find(msg => msg.id === messageId), ...descendantsOf(messageId)];
+        return subtree.filter(Boolean).reduce((latest, msg) => (!latest || msg.createdAt > latest.createdAt ? msg : latest), null);
+    };
+
+    /**
+     * The branch from the first message down to a message.
+     * @param {string|null} leafId - The last message of the branch.
+     * @returns {Array<object>}
+     */
+    const pathTo = (leafId) => {
+        const byId = new Map(state.messages.map(msg => [msg.id, msg]));
+        const path = [];
+        for (let msg = byId.get(leafId); msg; msg = byId.get(msg.parentId)) {
+            path.unshift(msg);
+        }
+        return path;
+    };
+
+    /**
+     * Shows the branch that ends at a message and remembers it for the session.
+     * @param {string|null} leafId - The last message of the branch.
+     */
+    const setActiveLeaf = (leafId) => {
+        state.chatHistory = pathTo(leafId);
+        const session = getActiveSession();
+        if (session && session.activeLeafId !== leafId) {
+            session.activeLeafId = leafId;
+            saveSession(session);
+        }
+        updateUI();
+    };
+
+    /**
+     * Switches to the previous or next sibling of a message, i.e. another
+     * version of the same reply or edit.
+     * @param {object} msg - The message shown now.
+     * @param {number} step - -1 for the previous sibling, 1 for the next.
+     */
+    const showSibling = (msg, step) => {
+        if (state.isLoading) return;
+        const siblings = childrenOf(msg.parentId);
+        const sibling = siblings[siblings.indexOf(msg) + step];
+        if (sibling) setActiveLeaf(latestLeaf(sibling.id).id);
+    };
+
+    /**
+     * Cuts the shown branch back to a message so the next message becomes a new
+     * sibling of what followed it. Nothing is deleted.
+     * @param {string|null} parentId - Where the new branch starts.
+     */
+    const branchFrom = (parentId) => {
+        ttsPlayer.stop();
+        state.chatHistory = pathTo(parentId);
+        jumpToLatest();
+    };
+
+    /**
+     * Edits a user message by sending the new text as a sibling of the original.
+     * @param {object} msg - The user message.
+     */
+    const editMessage = async (msg) => {
+        if (state.isLoading) return;
+        const text = prompt("Edit your message:", msg.text);
+        if (text === null || !text.trim()) return;
+        branchFrom(msg.parentId);
+        const invocation = msg.imageBlobs.length ? null : parseCommand(text);
+        if (invocation) {
+            await runCommand(invocation);
+        } else {
+            await sendChatMessage(text.trim(), msg.imageBlobs);
+        }
+    };
+
+    /**
+     * Asks for another version of a VISION reply, kept as a sibling of the original.
+     * @param {object} msg - The VISION reply; its parent must be a user message.
+     */
+    const regenerateReply = async (msg) => {
+        const parent = state.messages.find(item => item.id === msg.parentId);
+        if (state.isLoading || parent?.role !== 'user') return;
+        branchFrom(parent.id);
+        if (!msg.imagePrompt) {
+            await requestChatReply();
+        } else if (parent.imageBlobs.length) {
+            await editImageReply(parent.imageBlobs[0], msg.imagePrompt, { count: msg.imageBlobs.length || 1 });
+        } else {
+            await generateImageReply(msg.imagePrompt, { count: msg.imageBlobs.length || 1 });
+        }
+    };
+
+    /**
+     * Deletes a message and everything that follows it on its branches.
+     * @param {object} msg - The message to delete.
+     */
+    const deleteMessage = async (msg) => {
+        if (state.isLoading) return;
+        const doomed = [msg, ...descendantsOf(msg.id)];
+        const question = doomed.length > 1
+            ? `Delete this message and the ${doomed.length - 1} message(s) that follow it? This cannot be undone.`
+            : "Delete this message? This cannot be undone.";
+        if (!confirm(question)) return;
+        try {
+            await withStore('messages', 'readwrite', store => doomed.forEach(item => store.delete(item.id)));
+        } catch (error) {
+            console.error('Failed to delete message:', error);
+        }
+        doomed.forEach(item => item.imageUrls.forEach(url => URL.revokeObjectURL(url)));
+        const doomedIds = new Set(doomed.map(item => item.id));
+        state.messages = state.messages.filter(item => !doomedIds.has(item.id));
+        if (state.chatHistory.some(item => doomedIds.has(item.id))) {
+            setActiveLeaf(latestLeaf(msg.parentId)?.id || null);
+        } else {
+            updateUI();
+        }
+    };
+
+    /**
+     * Pins or unpins a message.
+     * @param {object} msg - The message.
+     */
+    const togglePin = (msg) => {
+        msg.isPinned = !msg.isPinned;
+        saveMessage(msg);
+        updateUI();
+    };
+
+    /**
+     * Opens the branch containing a message and scrolls to it.
+     * @param {object} msg - The message.
+     */
+    const showMessage = (msg) => {
+        if (!state.chatHistory.includes(msg)) {
+            if (state.isLoading) return;
+            setActiveLeaf(latestLeaf(msg.id).id);
+        }
+        revealMessage(msg);
+    };
+
+    /**
+     * Lists the conversation's pinned messages above the chat.
+     */
+    const renderPinnedMessages = () => {
+        const pinned = state.messages.filter(msg => msg.isPinned);
+        elements.pinnedMessages.innerHTML = '';
+        pinned.forEach(msg => {
+            const label = `${msg.role === 'user' ? 'You' : 'VISION'}: ${msg.text.replace(/\s+/g, ' ').slice(0, 60) || '(image)'}`;
+            const button = el('button', 'pinned-message', [label]);
+            button.type = 'button';
+            button.title = new Date(msg.createdAt).toLocaleString();
+            button.addEventListener('click', () => showMessage(msg));
+            elements.pinnedMessages.appendChild(button);
+        });
+        if (pinned.length) {
+            elements.pinnedMessages.prepend(el('span', 'pinned-heading', ['Pinned']));
+        }
+        elements.pinnedMessages.style.display = pinned.length ? 'flex' : 'none';
+    };
+
+    // --- Image Attachments ---
+
+    const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp'];
+
+    // Canvas transforms that undo each EXIF orientation (2-8) for an image drawn at width x height.
+    const exifTransforms = {
+        2: (width, height) => [-1, 0, 0, 1, width, 0],
+        3: (width, height) => [-1, 0, 0, -1, width, height],
+        4: (width, height) => [1, 0, 0, -1, 0, height],
+        5: () => [0, 1, 1, 0, 0, 0],
+        6: (width, height) => [0, 1, -1, 0, height, 0],
+        7: (width, height) => [0, -1, -1, 0, height, width],
+        8: (width) => [0, -1, 1, 0, 0, width]
+    };
+
+    /**
+     * Formats a byte count for error messages.
+     * @param {number} bytes - The size in bytes.
+     * @returns {string} - E.g. "3.2 MB".
+     */
+    const formatFileSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+    /**
+     * Reads the EXIF orientation tag of a JPEG.
+     * @param {Blob} file - The image file.
+     * @returns {Promise<number>} - The orientation (1-8); 1 if there is none.
+     */
+    const readExifOrientation = async (file) => {
+        if (file.type !== 'image/jpeg') return 1;
+        try {
+            const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+            if (view.getUint16(0) !== 0xFFD8) return 1;
+            let offset = 2;
+            while (offset + 10 < view.byteLength) {
+                const marker = view.getUint16(offset);
+                // APP1 segment starting with "Exif".
+                if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+                    const tiff = offset + 10;
+                    const littleEndian = view.getUint16(tiff) === 0x4949;
+                    const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+                    const entryCount = view.getUint16(ifd, littleEndian);
+                    for (let i = 0; i < entryCount; i++) {
+                        const entry = ifd + 2 + i * 12;
+                        if (view.getUint16(entry, littleEndian) === 0x0112) return view.getUint16(entry + 8, littleEndian);
+                    }
+                    return 1;
+                }
+                if ((marker & 0xFF00) !== 0xFF00) return 1;
+                offset += 2 + view.getUint16(offset + 2);
+            }
+        } catch (error) {
+            // Truncated or malformed EXIF data: treat the image as upright.
+        }
+        return 1;
+    };
+
+    /**
+     * Decodes an image Blob into an <img> element.
+     * @param {Blob} blob - The image.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    const loadImage = (blob) => new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The image could not be decoded.'));
+        };
+        image.src = url;
+    });
+
+    /**
+     * Checks an image's type and size before it is processed.
+     * @param {File} file - The picked, dropped or pasted file.
+     * @returns {string|null} - An error message, or null if the file is acceptable.
+     */
+    const validateImageFile = (file) => {
+        const name = file.name || 'The pasted image';
+        if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+            return file.type.startsWith('image/')
+                ? `"${name}" is not a supported image. Use JPEG, PNG, WebP, GIF or BMP.`
+                : `"${name}" is not a supported file. Attach JPEG, PNG, WebP, GIF or BMP images, or PDF, text, Markdown, CSV, JSON or source code documents.`;
+        }
+        if (file.size > config.images.maxFileSize) {
+            return `"${name}" is too large (${formatFileSize(file.size)}; the limit is ${formatFileSize(config.images.maxFileSize)}).`;
+        }
+        return null;
+    };
+
+    /**
+     * Scales an image down to `config.images.maxDimension`, turns it upright and
+     * recompresses it. JPEGs stay JPEG; everything else becomes WebP so
+     * transparency survives.
+     * @param {File} file - The image file.
+     * @returns {Promise<Blob>} - The processed image.
+     */
+    const prepareImage = async (file) => {
+        // Browsers that support `image-orientation` already apply EXIF rotation when decoding.
+        const orientation = CSS.supports('image-orientation', 'from-image') ? 1 : await readExifOrientation(file);
+        const image = await loadImage(file);
+        const scale = Math.min(1, config.images.maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+        const width = Math.round(image.naturalWidth * scale);
+        const height = Math.round(image.naturalHeight * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = orientation >= 5 ? height : width;
+        canvas.height = orientation >= 5 ? width : height;
+        const context = canvas.getContext('2d');
+        if (exifTransforms[orientation]) context.transform(...exifTransforms[orientation](width, height));
+        context.drawImage(image, 0, 0, width, height);
+
+        const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/webp';
+        return new Promise((resolve, reject) => canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The image could not be re-encoded.'));
+            }
+        }, type, config.images.quality));
+    };
+
+    // Images still being resized, counted against the limit alongside the attached ones.
+    let pendingAttachments = 0;
+
+    /**
+     * Validates, resizes and attaches images to the next message; documents
+     * go to the conversation instead (see `addDocuments`). Problems are
+     * collected and reported together once every file has been handled.
+     * Nothing is taken while a reply is loading, as with the attach button.
+     * @param {Array<File>} files - The picked, dropped or pasted files.
+     */
+    const addAttachments = async (files) => {
+        if (state.isLoading) {
+            alert('Files can be attached once the current reply has finished.');
+            return;
+        }
+        const documentFiles = files.filter(file => !file.type.startsWith('image/') && documentKindOf(file));
+        const errors = [];
+        for (const file of files.filter(file => !documentFiles.includes(file))) {
+            if (state.attachments.length + pendingAttachments >= config.images.maxCount) {
+                errors.push(`You can attach up to ${config.images.maxCount} images to a message.`);
+                break;
+            }
+            const error = validateImageFile(file);
+            if (error) {
+                errors.push(error);
+                continue;
+            }
+            pendingAttachments++;
+            try {
+                const blob = await prepareImage(file);
+                if (blob.size > config.images.maxUploadSize) {
+                    errors.push(`"${file.name || 'The pasted image'}" is still too large after resizing (${formatFileSize(blob.size)}).`);
+                    continue;
+                }
+                state.attachments = [...state.attachments, { id: crypto.randomUUID(), name: file.name || 'Pasted image', blob, url: URL.createObjectURL(blob) }];
+                updateUI();
+            } catch (processingError) {
+                console.error('Failed to process image:', processingError);
+                errors.push(`"${file.name || 'The pasted image'}" could not be read as an image.`);
+            } finally {
+                pendingAttachments--;
+            }
+        }
+        errors.push(...await addDocuments(documentFiles));
+        if (errors.length) alert(errors.join('\n'));
+    };
+
+    /**
+     * Removes one pending attachment.
+     * @param {string} id - The attachment id.
+     */
+    const removeAttachment = (id) => {
+        const attachment = state.attachments.find(item => item.id === id);
+        if (!attachment) return;
+        URL.revokeObjectURL(attachment.url);
+        state.attachments = state.attachments.filter(item => item !== attachment);
+        updateUI();
+    };
+
+    /**
+     * Clears the pending attachments and hands back their images.
+     * @returns {Array<Blob>}
+     */
+    const takeAttachments = () => {
+        const blobs = state.attachments.map(attachment => attachment.blob);
+        state.attachments.forEach(attachment => URL.revokeObjectURL(attachment.url));
+        state.attachments = [];
+        return blobs;
+    };
+
+    /**
+     * Renders the thumbnail strip of pending attachments.
+     */
+    const renderAttachments = () => {
+        elements.attachmentStrip.innerHTML = '';
+        state.attachments.forEach(attachment => {
+            const thumbnail = el('img', 'attachment-thumbnail');
+            thumbnail.src = attachment.url;
+            thumbnail.alt = attachment.name;
+            const removeButton = el('button', 'attachment-remove', ['×']);
+            removeButton.type = 'button';
+            removeButton.setAttribute('aria-label', `Remove ${attachment.name}`);
+            removeButton.addEventListener('click', () => removeAttachment(attachment.id));
+            elements.attachmentStrip.appendChild(el('div', 'attachment-item', [thumbnail, removeButton]));
+        });
+        elements.attachmentStrip.style.display = state.attachments.length ? 'flex' : 'none';
+    };
+
+    // --- Documents ---
+
+    const CODE_EXTENSIONS = ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'swift', 'sh', 'sql', 'html', 'css', 'scss', 'xml', 'yaml', 'yml', 'toml', 'ini'];
+
+    // Roughly four characters per token, as in `estimateTokens`.
+    const CHARS_PER_TOKEN = 4;
+
+    const DOCUMENT_EXCERPTS_INTRO = "Excerpts from the documents attached to this conversation, each numbered and labelled with its file and page, section, lines or rows. Answer from them where they are relevant and cite each one you use as [1], [2] and so on.";
+
+    // Words too common to say anything about which excerpt answers a question.
+    const STOP_WORDS = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'was', 'our', 'out', 'has', 'have', 'had', 'how', 'its', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'this', 'that', 'from', 'they', 'them', 'then', 'than', 'there', 'these', 'those', 'into', 'about', 'does', 'did', 'your', 'will', 'would', 'could', 'should', 'been', 'were', 'also', 'more', 'some', 'such', 'only', 'over', 'each', 'other', 'document', 'file']);
+
+    /**
+     * Works out how a file is read as a document, from its type or extension.
+     * @param {File} file - The picked or dropped file.
+     * @returns {'pdf'|'markdown'|'csv'|'json'|'code'|'text'|null} - Null if it isn't a document.
+     */
+    const documentKindOf = (file) => {
+        const extension = (file.name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+        if (file.type === 'application/pdf' || extension === 'pdf') return 'pdf';
+        if (file.type === 'text/markdown' || ['md', 'markdown'].includes(extension)) return 'markdown';
+        if (['text/csv', 'text/tab-separated-values'].includes(file.type) || ['csv', 'tsv'].includes(extension)) return 'csv';
+        if (file.type === 'application/json' || extension === 'json') return 'json';
+        if (CODE_EXTENSIONS.includes(extension)) return 'code';
+        if (file.type.startsWith('text/') || ['txt', 'text', 'log'].includes(extension)) return 'text';
+        return null;
+    };
+
+    let pdfjsLoader = null;
+
+    /**
+     * Loads a script, checked against its Subresource Integrity hash.
+     * @param {string} src - The script URL.
+     * @param {string} integrity - The expected hash, e.g. "sha512-...".
+     * @returns {Promise<void>}
+     */
+    const loadScript = (src, integrity) => new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.integrity = integrity;
+        script.crossOrigin = 'anonymous';
+        script.onload = () => resolve();
+        script.onerror = () => {
+            script.remove();
+            reject(new Error('The PDF reader could not be loaded.'));
+        };
+        document.head.appendChild(script);
+    });
+
+    /**
+     * Fetches the pdf.js worker, checked against its integrity hash, and
+     * serves it from an object URL. A worker can't be given an integrity
+     * hash of its own.
+     * @returns {Promise<string>} - The worker's object URL.
+     */
+    const loadPdfjsWorker = async () => {
+        const { pdfjsWorkerUrl, pdfjsWorkerIntegrity } = config.documents;
+        const response = await fetch(pdfjsWorkerUrl, { integrity: pdfjsWorkerIntegrity }).catch(() => null);
+        if (!response?.ok) throw new Error('The PDF reader could not be loaded.');
+        return URL.createObjectURL(await response.blob());
+    };
+
+    /**
+     * Loads pdf.js and its worker from `config.documents` the first time a
+     * PDF is attached.
+     * @returns {Promise<object>} - The `pdfjsLib` global.
+     */
+    const loadPdfjs = () => {
+        pdfjsLoader = pdfjsLoader || (async () => {
+            if (window.pdfjsLib) return window.pdfjsLib;
+            const [workerSrc] = await Promise.all([
+                loadPdfjsWorker(),
+                loadScript(config.documents.pdfjsUrl, config.documents.pdfjsIntegrity)
+            ]);
+            window.pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+            return window.pdfjsLib;
+        })().catch((error) => {
+            pdfjsLoader = null;
+            throw error;
+        });
+        return pdfjsLoader;
+    };
+
+    /**
+     * Extracts the text of each page of a PDF.
+     * @param {File} file - The PDF.
+     * @returns {Promise<Array<{label: string, text: string}>>}
+     */
+    const readPdfPages = async (file) => {
+        const pdfjs = await loadPdfjs();
+        const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+        const pages = [];
+        try {
+            for (let number = 1; number <= pdf.numPages; number++) {
+                const content = await (await pdf.getPage(number)).getTextContent();
+                pages.push({ label: `p. ${number}`, text: content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join('') });
+            }
+        } finally {
+            pdf.destroy();
+        }
+        return pages;
+    };
+
+    /**
+     * Groups consecutive lines into chunks of about `config.documents.chunkSize`
+     * characters, labelled with the line (or row) numbers they span.
+     * @param {Array<string>} lines - The lines.
+     * @param {{unit?: string, header?: string}} [options] - The label word, and
+     * a header line repeated at the top of every chunk (for CSV).
+     * @returns {Array<{label: string, text: string}>}
+     */
+    const groupLines = (lines, { unit = 'lines', header = '' } = {}) => {
+        const chunks = [];
+        let start = 0;
+        while (start < lines.length) {
+            let end = start;
+            let length = header.length;
+            while (end < lines.length && (end === start || length + lines[end].length + 1 <= config.documents.chunkSize)) {
+                length += lines[end].length + 1;
+                end++;
+            }
+            chunks.push({
+                label: end - start > 1 ? `${unit} ${start + 1}–${end}` : `${unit.replace(/s$/, '')} ${start + 1}`,
+                text: (header ? `${header}\n` : '') + lines.slice(start, end).join('\n')
+            });
+            start = end;
+        }
+        return chunks;
+    };
+
+    /**
+     * Splits text into pieces of at most `maxLength` characters, breaking
+     * after lines and sentences where possible and inside words only when a
+     * single word is too long.
+     * @param {string} text - The text.
+     * @param {number} maxLength - The piece size limit.
+     * @returns {Array<string>}
+     */
+    const splitText = (text, maxLength) => {
+        const pieces = [];
+        let current = '';
+        text.split(/(?<=\n|[.!?]\s)/)
+            .flatMap(sentence => (sentence.length > maxLength ? sentence.split(/(?<=\s)/) : [sentence]))
+            .flatMap(word => (word.length > maxLength ? word.match(new RegExp(`[\\s\\S]{1,${maxLength}}`, 'g')) : [word]))
+            .forEach(piece => {
+                if ((current + piece).length > maxLength && current.trim()) {
+                    pieces.push(current);
+                    current = '';
+                }
+                current += piece;
+            });
+        if (current.trim()) pieces.push(current);
+        return pieces;
+    };
+
+    /**
+     * Splits Markdown at its headings, labelling each section with its heading.
+     * @param {string} text - The Markdown.
+     * @returns {Array<{label: string, text: string}>}
+     */
+    const splitMarkdownSections = (text) => {
+        const sections = [{ label: 'beginning', lines: [] }];
+        let inFence = false;
+        text.split('\n').forEach(line => {
+            if (/^\s*```/.test(line)) inFence = !inFence;
+            const heading = !inFence && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+            if (heading) sections.push({ label: `§ ${heading[1]}`, lines: [] });
+            sections.at(-1).lines.push(line);
+        });
+        return sections.map(section => ({ label: section.label, text: section.lines.join('\n') }));
+    };
+
+    /**
+     * Reads a file and splits it into labelled chunks no longer than
+     * `config.documents.chunkSize`: PDFs by page, Markdown by section, CSV by
+     * rows (each with the header row) and everything else by lines.
+     * @param {File} file - The document.
+     * @param {string} kind - From `documentKindOf`.
+     * @returns {Promise<Array<{label: string, text: string}>>}
+     */
+    const readDocumentChunks = async (file, kind) => {
+        let sections;
+        if (kind === 'pdf') {
+            sections = await readPdfPages(file);
+        } else {
+            let text = (await file.text()).replace(/\r\n?/g, '\n');
+            if (kind === 'markdown') {
+                sections = splitMarkdownSections(text);
+            } else if (kind === 'csv') {
+                const [header, ...rows] = text.split('\n').filter(line => line.trim());
+                sections = rows.length ? groupLines(rows, { unit: 'rows', header }) : [{ label: 'header', text: header || '' }];
+            } else {
+                if (kind === 'json') {
+                    // Minified JSON is one long line; pretty-printing gives it line numbers worth citing.
+                    try {
+                        text = JSON.stringify(JSON.parse(text), null, 2);
+                    } catch (error) {
+                        // Not valid JSON: read it as plain text.
+                    }
+                }
+                sections = groupLines(text.split('\n'));
+            }
+        }
+        return sections
+            .flatMap(section => (section.text.length <= config.documents.chunkSize
+                ? [section]
+                : splitText(section.text, config.documents.chunkSize).map(text => ({ label: section.label, text }))))
+            .map(section => ({ label: section.label, text: section.text.trim() }))
+            .filter(section => section.text);
+    };
+
+    /**
+     * Loads the documents attached to a session, oldest first.
+     * @param {string} sessionId - The session id.
+     * @returns {Promise<Array<object>>}
+     */
+    const loadDocuments = async (sessionId) => {
+        const records = await withStore('documents', 'readonly', store => store.index('sessionId').getAll(sessionId)) || [];
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    };
+
+    /**
+     * Deletes every stored document of a session.
+     * @param {string} sessionId - The session id.
+     */
+    const deleteSessionDocuments = async (sessionId) => {
+        const documentIds = await withStore('documents', 'readonly', store => store.index('sessionId').getAllKeys(sessionId)) || [];
+        await withStore('documents', 'readwrite', store => documentIds.forEach(id => store.delete(id)));
+    };
+
+    /**
+     * Reads documents, splits them into chunks and keeps them with the
+     * conversation that was open when they were added. Each shows as a chip
+     * while it is being read.
+     * @param {Array<File>} files - The document files.
+     * @returns {Promise<Array<string>>} - Error messages for files that were skipped.
+     */
+    const addDocuments = async (files) => {
+        await sessionsReady;
+        const sessionId = state.activeSessionId;
+        const errors = [];
+        for (const file of files) {
+            if (state.documents.length >= config.documents.maxCount) {
+                errors.push(`A conversation can hold up to ${config.documents.maxCount} documents.`);
+                break;
+            }
+            if (file.size > config.documents.maxFileSize) {
+                errors.push(`"${file.name}" is too large (${formatFileSize(file.size)}; the limit is ${formatFileSize(config.documents.maxFileSize)}).`);
+                continue;
+            }
+            const doc = {
+                id: crypto.randomUUID(),
+                sessionId,
+                name: file.name,
+                kind: documentKindOf(file),
+                size: file.size,
+                createdAt: Date.now(),
+                chunks: []
+            };
+            state.documents = [...state.documents, { ...doc, isReading: true }];
+            updateUI();
+            try {
+                doc.chunks = await readDocumentChunks(file, doc.kind);
+                if (doc.chunks.length === 0) {
+                    errors.push(`"${file.name}" has no text to read.${doc.kind === 'pdf' ? ' Scanned PDFs need text recognition (OCR) first.' : ''}`);
+                }
+            } catch (error) {
+                console.error('Failed to read document:', error);
+                errors.push(`"${file.name}" could not be read: ${error.message}`);
+            }
+            if (doc.chunks.length) {
+                try {
+                    await withStore('documents', 'readwrite', store => store.put(doc));
+                } catch (error) {
+                    console.error('Failed to save document:', error);
+                }
+            }
+            // Another conversation may have been opened while the file was being read.
+            if (state.activeSessionId === sessionId) {
+                const others = state.documents.filter(item => item.id !== doc.id);
+                state.documents = doc.chunks.length ? [...others, doc] : others;
+            }
+            updateUI();
+        }
+        return errors;
+    };
+
+    /**
+     * Removes a document from the open conversation.
+     * @param {string} id - The document id.
+     */
+    const removeDocument = async (id) => {
+        state.documents = state.documents.filter(doc => doc.id !== id);
+        updateUI();
+        try {
+            await withStore('documents', 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('Failed to delete document:', error);
+        }
+    };
+
+    /**
+     * Splits text into lowercase search terms, dropping short and common words.
+     * @param {string} text - The text.
+     * @returns {Array<string>}
+     */
+    const termsOf = (text) => (text.toLowerCase().match(/[\p{L}\p{N}_]{3,}/gu) || []).filter(term => !STOP_WORDS.has(term));
+
+    /**
+     * Picks the document chunks to send with a question. When everything fits
+     * in `config.documents.contextTokens` all of it goes; otherwise chunks are
+     * ranked by TF-IDF against the question, and a question with no matching
+     * words (like "summarize this") gets the start of each document.
+     * @param {string} question - The user's message.
+     * @returns {Array<{doc: object, chunk: {label: string, text: string}}>} - In document order.
+     */
+    const selectExcerpts = (question) => {
+        const candidates = state.documents.flatMap(doc => doc.chunks.map((chunk, index) => ({ doc, chunk, index })));
+        const budget = config.documents.contextTokens * CHARS_PER_TOKEN;
+        let ranked = candidates;
+        if (candidates.reduce((total, { chunk }) => total + chunk.text.length, 0) > budget) {
+            const questionTerms = new Set(termsOf(question));
+            const chunkTerms = candidates.map(({ chunk }) => termsOf(chunk.text));
+            const chunkCounts = new Map();
+            chunkTerms.forEach(terms => new Set(terms).forEach(term => chunkCounts.set(term, (chunkCounts.get(term) || 0) + 1)));
+            const scored = candidates.map((candidate, i) => {
+                const score = chunkTerms[i].reduce((total, term) => (questionTerms.has(term) ? total + Math.log(1 + candidates.length / chunkCounts.get(term)) : total), 0);
+                // Long chunks shouldn't win just by repeating a word more often.
+                return { ...candidate, score: score / Math.sqrt(chunkTerms[i].length || 1) };
+            });
+            const matching = scored.filter(candidate => candidate.score > 0);
+            ranked = (matching.length ? matching : scored).sort((a, b) => b.score - a.score || a.index - b.index);
+        }
+
+        const selected = [];
+        let used = 0;
+        ranked.forEach(candidate => {
+            if (used + candidate.chunk.text.length > budget) return;
+            selected.push(candidate);
+            used += candidate.chunk.text.length;
+        });
+        return selected.sort((a, b) => state.documents.indexOf(a.doc) - state.documents.indexOf(b.doc) || a.index - b.index);
+    };
+
+    /**
+     * The text of the part that carries numbered excerpts to the model.
+     * @param {Array<object>} excerpts - From `selectExcerpts`.
+     * @returns {string}
+     */
+    const formatExcerpts = (excerpts) => [
+        DOCUMENT_EXCERPTS_INTRO,
+        ...excerpts.map(({ doc, chunk }, index) => `[${index + 1}] ${doc.name}, ${chunk.label}\n${chunk.text}`)
+    ].join('\n\n');
+
+    /**
+     * Roughly how many tokens excerpts add to a request, so the conversation
+     * history can make room for them.
+     * @param {Array<object>} excerpts - From `selectExcerpts`.
+     * @returns {number}
+     */
+    const estimateExcerptTokens = (excerpts) => (excerpts.length ? Math.ceil(formatExcerpts(excerpts).length / CHARS_PER_TOKEN) : 0);
+
+    /**
+     * Puts numbered excerpts from the conversation's documents at the start of
+     * the last user turn, asking the model to cite them.
+     * @param {Array<object>} contents - The turns about to be sent; changed in place.
+     * @param {Array<object>} excerpts - From `selectExcerpts`.
+     * @returns {Array<object>} - The excerpts as citations for the reply.
+     */
+    const addDocumentExcerpts = (contents, excerpts) => {
+        const turn = contents.at(-1);
+        if (turn?.role !== 'user' || excerpts.length === 0) return [];
+        turn.parts = [{ text: formatExcerpts(excerpts) }, ...turn.parts];
+        return excerpts.map(({ doc, chunk }, index) => ({
+            citation: index + 1,
+            documentId: doc.id,
+            title: doc.name,
+            location: chunk.label,
+            snippet: chunk.text.length > 200 ? `${chunk.text.slice(0, 200)}…` : chunk.text
+        }));
+    };
+
+    /**
+     * Whether a message part is the excerpts `addDocumentExcerpts` added.
+     * @param {object} part - A Gemini-style part.
+     * @returns {boolean}
+     */
+    const isDocumentExcerpts = (part) => Boolean(part.text?.startsWith(DOCUMENT_EXCERPTS_INTRO));
+
+    /**
+     * Keeps only the document excerpts a finished reply actually cites.
+     * @param {object} reply - The reply message.
+     */
+    const pruneDocumentCitations = (reply) => {
+        const cited = new Set();
+        [...reply.text.matchAll(/\[(\d+(?:\s*[,–—-]\s*\d+)*)\]/g)].forEach(match => {
+            // Markers list numbers and ranges, like [1, 3–5].
+            match[1].split(/\s*,\s*/).forEach(item => {
+                const [first, last = first] = item.split(/\s*[–—-]\s*/).map(Number);
+                for (let number = first; number <= Math.min(last, reply.citations.length); number++) cited.add(number);
+            });
+        });
+        const citations = reply.citations.filter(source => !source.documentId || cited.has(source.citation));
+        if (citations.length !== reply.citations.length) reply.citations = citations;
+    };
+
+    /**
+     * Renders the chips of documents attached to the open conversation.
+     */
+    const renderDocuments = () => {
+        elements.documentStrip.innerHTML = '';
+        state.documents.forEach(doc => {
+            const chip = el('div', `document-chip${doc.isReading ? ' reading' : ''}`, [
+                el('span', 'document-chip-kind', [doc.kind === 'pdf' ? 'PDF' : doc.name.split('.').pop().toUpperCase().slice(0, 4)]),
+                el('span', 'document-chip-name', [doc.isReading ? `Reading ${doc.name}...` : doc.name])
+            ]);
+            chip.title = doc.isReading ? doc.name : `${doc.name} (${formatFileSize(doc.size)}, ${doc.chunks.length} ${doc.chunks.length === 1 ? 'excerpt' : 'excerpts'})`;
+            if (!doc.isReading) {
+                const removeButton = el('button', 'document-chip-remove', ['×']);
+                removeButton.type = 'button';
+                removeButton.setAttribute('aria-label', `Remove ${doc.name}`);
+                removeButton.addEventListener('click', () => removeDocument(doc.id));
+                chip.appendChild(removeButton);
+            }
+            elements.documentStrip.appendChild(chip);
+        });
+        elements.documentStrip.style.display = state.documents.length ? 'flex' : 'none';
+    };
+
+    // --- Animated Core ---
+
+    const CORE_ERROR_DURATION = 2500;
+
+    // How the core looks in each state: spin in radians per 60 fps frame, glow
+    // strength, colour, how far it swells with the audio level, and a slow
+    // breathing swell for states without audio.
+    const coreLooks = {
+        idle: { spin: 0.005, glow: 1, color: 0x8A2BE2, pulse: 0, breathe: 0.02 },
+        listening: { spin: 0.02, glow: 1.8, color: 0x22D3EE, pulse: 0.35, breathe: 0 },
+        thinking: { spin: 0.035, glow: 1.5, color: 0x8A2BE2, pulse: 0, breathe: 0.06 },
+        speaking: { spin: 0.01, glow: 1.4, color: 0xA78BFA, pulse: 0.5, breathe: 0 },
+        error: { spin: 0.002, glow: 2, color: 0xEF4444, pulse: 0, breathe: 0.04 }
+    };
+
+    /**
+     * Splits a 0xRRGGBB colour into 0–1 channels.
+     * @param {number} hex - The colour.
+     * @returns {Array<number>}
+     */
+    const hexToRgb = (hex) => [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255].map(channel => channel / 255);
+
+    /**
+     * The loudness of whatever an AnalyserNode is hearing, from 0 to 1.
+     * @param {AnalyserNode|null} analyser - The analyser.
+     * @returns {number}
+     */
+    const readAudioLevel = (analyser) => {
+        if (!analyser) return 0;
+        const samples = new Uint8Array(analyser.fftSize);
+        analyser.getByteTimeDomainData(samples);
+        let sumOfSquares = 0;
+        samples.forEach(sample => {
+            const amplitude = (sample - 128) / 128;
+            sumOfSquares += amplitude * amplitude;
+        });
+        // Speech rarely gets past an RMS of 0.25, so scale that up to the full range.
+        return Math.min(Math.sqrt(sumOfSquares / (samples.length || 1)) * 4, 1);
+    };
+
+    /**
+     * Draws the core with Three.js: a glowing icosahedron.
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+     * @returns {{draw: Function, resize: Function, dispose: Function}}
+     */
+    const createWebGLCoreRenderer = (canvas) => {
+        const renderer = new THREE.WebGLRenderer({ canvas, alpha: true });
+        const scene = new THREE.Scene();
+        const camera = new THREE.PerspectiveCamera(75, canvas.clientWidth / canvas.clientHeight, 0.1, 1000);
+        camera.position.z = 3;
+
+        const geometry = new THREE.IcosahedronGeometry(1.2, 1);
+        const material = new THREE.MeshPhongMaterial({
+            color: 0x4B0082,
+            emissive: 0x8A2BE2,
+            specular: 0x9370DB,
+            shininess: 30,
+            flatShading: false
+        });
+        const core = new THREE.Mesh(geometry, material);
+        scene.add(core);
+
+        const ambientLight = new THREE.AmbientLight(0x404040, 1);
+        const pointLight = new THREE.PointLight(0xffffff, 1);
+        pointLight.position.set(5, 5, 5);
+        scene.add(ambientLight);
+        scene.add(pointLight);
+
+        const resize = () => {
+            camera.aspect = canvas.clientWidth / canvas.clientHeight;
+            camera.updateProjectionMatrix();
+            renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
+        };
+        resize();
+
+        return {
+            draw: ({ angle, glow, color, scale }) => {
+                core.rotation.set(angle, angle, 0);
+                core.scale.set(scale, scale, scale);
+                material.emissive.setRGB(...color);
+                material.emissiveIntensity = glow;
+                renderer.render(scene, camera);
+            },
+            resize,
+            dispose: () => {
+                geometry.dispose();
+                material.dispose();
+                renderer.dispose();
+                renderer.forceContextLoss();
+            }
+        };
+    };
+
+    /**
+     * Draws the core on a 2D canvas, for browsers or machines without WebGL:
+     * a glowing disc with a turning hexagon.
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+     * @returns {{draw: Function, resize: Function, dispose: Function}}
+     */
+    const create2DCoreRenderer = (canvas) => {
+        const context = canvas.getContext('2d');
+
+        const resize = () => {
+            const ratio = window.devicePixelRatio || 1;
+            canvas.width = canvas.clientWidth * ratio;
+            canvas.height = canvas.clientHeight * ratio;
+        };
+        resize();
+
+        return {
+            draw: ({ angle, glow, color, scale }) => {
+                const { width, height } = canvas;
+                const radius = Math.min(width, height) * 0.3 * scale;
+                const [r, g, b] = color.map(channel => Math.round(channel * 255));
+                context.clearRect(0, 0, width, height);
+                context.save();
+                context.translate(width / 2, height / 2);
+
+                const halo = context.createRadialGradient(0, 0, radius * 0.2, 0, 0, radius * 1.6);
+                halo.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${Math.min(glow / 2, 1)})`);
+                halo.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+                context.fillStyle = halo;
+                context.beginPath();
+                context.arc(0, 0, radius * 1.6, 0, Math.PI * 2);
+                context.fill();
+
+                context.rotate(angle);
+                context.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+                context.lineWidth = Math.max(radius * 0.08, 1);
+                context.beginPath();
+                for (let corner = 0; corner <= 6; corner++) {
+                    const theta = (corner / 6) * Math.PI * 2;
+                    context[corner ? 'lineTo' : 'moveTo'](Math.cos(theta) * radius, Math.sin(theta) * radius);
+                }
+                context.stroke();
+                context.restore();
+            },
+            resize,
+            dispose: () => context.clearRect(0, 0, canvas.width, canvas.height)
+        };
+    };
+
+    /**
+     * Runs the animated core as a state machine (idle, listening, thinking,
+     * speaking, error). Changing state eases spin, glow and colour towards the
+     * new look; listening and speaking swell with the audio level. Rendering
+     * pauses while the tab is hidden, and with reduced motion the core is
+     * drawn once per state change instead of animated.
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+     * @param {Function} getAudioLevel - Returns the 0–1 audio level for a state.
+     * @returns {{setState: Function, getState: Function, dispose: Function}}
+     */
+    const createAnimatedCore = (canvas, getAudioLevel) => {
+        let renderer;
+        try {
+            renderer = createWebGLCoreRenderer(canvas);
+        } catch (error) {
+            // Missing Three.js or no WebGL context: fall back to 2D.
+            console.warn('WebGL unavailable, drawing the core in 2D:', error);
+            renderer = create2DCoreRenderer(canvas);
+        }
+
+        const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        let currentState = 'idle';
+        let frameId = null;
+        let lastTime = 0;
+        let elapsed = 0;
+        const look = { angle: 0, glow: coreLooks.idle.glow, color: hexToRgb(coreLooks.idle.color), level: 0 };
+
+        const draw = () => {
+            const target = coreLooks[currentState];
+            const breath = reducedMotion.matches ? 0 : target.breathe * Math.sin(elapsed * 2.5);
+            const swell = reducedMotion.matches ? 0 : target.pulse * look.level;
+            renderer.draw({ angle: look.angle, glow: look.glow, color: look.color, scale: 1 + breath + swell });
+        };
+
+        const frame = (time) => {
+            frameId = requestAnimationFrame(frame);
+            const seconds = lastTime ? Math.min((time - lastTime) / 1000, 0.1) : 0;
+            lastTime = time;
+            elapsed += seconds;
+
+            const target = coreLooks[currentState];
+            // Frame-rate independent easing that covers most of the way in about half a second.
+            const ease = 1 - Math.exp(-seconds * 6);
+            const targetColor = hexToRgb(target.color);
+            look.glow += (target.glow - look.glow) * ease;
+            look.color = look.color.map((channel, index) => channel + (targetColor[index] - channel) * ease);
+            look.level += (getAudioLevel(currentState) - look.level) * (1 - Math.exp(-seconds * 20));
+            look.angle += target.spin * seconds * 60;
+            draw();
+        };
+
+        const start = () => {
+            if (frameId !== null || document.hidden) return;
+            if (reducedMotion.matches) {
+                const target = coreLooks[currentState];
+                Object.assign(look, { glow: target.glow, color: hexToRgb(target.color), level: 0 });
+                draw();
+                return;
+            }
+            lastTime = 0;
+            frameId = requestAnimationFrame(frame);
+        };
+
+        const stop = () => {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        };
+
+        const handleVisibilityChange = () => (document.hidden ? stop() : start());
+        const handleMotionChange = () => {
+            stop();
+            start();
+        };
+        const handleResize = () => {
+            renderer.resize();
+            draw();
+        };
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        reducedMotion.addEventListener('change', handleMotionChange);
+        window.addEventListener('resize', handleResize);
+        canvas.dataset.state = currentState;
+        start();
+
+        return {
+            /**
+             * Moves the core to another state.
+             * @param {string} nextState - One of the keys of `coreLooks`.
+             */
+            setState: (nextState) => {
+                if (nextState === currentState || !coreLooks[nextState]) return;
+                currentState = nextState;
+                canvas.dataset.state = nextState;
+                if (reducedMotion.matches) {
+                    stop();
+                    start();
+                }
+            },
+            getState: () => currentState,
+            dispose: () => {
+                stop();
+                document.removeEventListener('visibilitychange', handleVisibilityChange);
+                reducedMotion.removeEventListener('change', handleMotionChange);
+                window.removeEventListener('resize', handleResize);
+                renderer.dispose();
+            }
+        };
+    };
+
+    let coreErrorTimer = null;
+
+    /**
+     * Picks the core's state from what the app is doing. Speaking wins over
+     * thinking because streamed replies are read aloud while they arrive.
+     * @returns {string}
+     */
+    const coreStateFor = () => {
+        const playback = ttsPlayer.getState();
+        if (coreErrorTimer) return 'error';
+        if (playback.isActive && !playback.isPaused) return 'speaking';
+        if (state.isLoading) return 'thinking';
+        if (state.isListening) return 'listening';
+        return 'idle';
+    };
+
+    /**
+     * Brings the core's state in line with the app.
+     */
+    const syncCoreState = () => refs.visualCore?.setState(coreStateFor());
+
+    /**
+     * Shows the error state for a moment after a failed request.
+     */
+    const showCoreError = () => {
+        clearTimeout(coreErrorTimer);
+        coreErrorTimer = setTimeout(() => {
+            coreErrorTimer = null;
+            syncCoreState();
+        }, CORE_ERROR_DURATION);
+        syncCoreState();
+    };
+
+    /**
+     * Starts the animated core in the header.
+     */
+    const initAnimatedCore = () => {
+        refs.visualCore = createAnimatedCore(elements.canvas, (coreState) => {
+            if (coreState === 'speaking') return readAudioLevel(ttsPlayer.analyser);
+            if (coreState === 'listening') return readAudioLevel(refs.micAnalyser);
+            return 0;
+        });
+        ttsPlayer.subscribe(syncCoreState);
+        window.addEventListener('pagehide', (event) => {
+            if (!event.persisted) refs.visualCore.dispose();
+        });
+        syncCoreState();
+    };
+
+    // --- Core Logic ---
+
+    /**
+     * Shows a failed request as an error bubble that explains what went wrong
+     * and offers to retry. In voice mode the explanation is also spoken.
+     * @param {Error} error - The error.
+     * @param {Function} retry - Sends the same request again.
+     */
+    const showRequestError = (error, retry) => {
+        const category = classifyError(error);
+        const { label, message } = errorCategories[category];
+        const bubble = addMessage(createMessage({
+            role: "vision",
+            text: message,
+            isStatus: true,
+            error: { category, label, detail: error.message, retry }
+        }));
+        showCoreError();
+        if (state.isVoiceMode) ttsPlayer.speak(message, { messageId: bubble.id });
+    };
+
+    /**
+     * Replaces an error bubble with a fresh attempt at the request that failed.
+     * @param {object} msg - The error message.
+     */
+    const retryFailedRequest = async (msg) => {
+        if (state.isLoading) return;
+        removeFromBranch(msg);
+        await msg.error.retry();
+    };
+
+    /**
+     * Removes an error bubble from the chat.
+     * @param {object} msg - The error message.
+     */
+    const dismissError = (msg) => {
+        removeFromBranch(msg);
+        updateUI();
+    };
+
+    /**
+     * Handles the summarization of the chat history.
+     */
+    const handleSummarizeChat = async () => {
+        if (state.chatHistory.length === 0) {
+            alert("No messages to summarize!");
+            return;
+        }
+        if (deferWhileOffline('summarize', {}, "Summarize the conversation")) return;
+        state.isLoading = true;
+        updateUI();
+        const prompt = buildSummaryPrompt(getContextMessages());
+
+        try {
+            const { text: summaryText } = await ai.summarize(prompt);
+            if (summaryText) {
+                const summary = addMessage(createMessage({ role: "vision", text: `Here is a summary of our conversation:\n\n${summaryText}` }));
+                ttsPlayer.speak("Here is a summary of our conversation.", { messageId: summary.id });
+            } else {
+                showRequestError(new ProviderError("The summary came back empty.", { category: 'server' }), handleSummarizeChat);
+            }
+        } catch (error) {
+            console.error('Summarization API call failed:', error);
+            showRequestError(error, handleSummarizeChat);
+        } finally {
+            state.isLoading = false;
+            updateUI();
+        }
+    };
+
+    /**
+     * Pushes a VISION reply into the history and speaks it.
+     * @param {string} text - The reply text.
+     * @param {Array<Blob>} [imageBlobs] - Images to attach.
+     * @param {string} [imagePrompt] - The prompt the images were generated from.
+     */
+    const replyWith = (text, imageBlobs = [], imagePrompt = null) => {
+        const msg = addMessage(createMessage({ role: "vision", text, imageBlobs, imagePrompt }));
+        ttsPlayer.speak(text, { messageId: msg.id });
+    };
+
+    /**
+     * Runs the tool calls from one model turn at the same time, showing each as
+     * a "used tool" block on the reply. Sources a tool found are added to the
+     * reply's citations and numbered for the model. A failing tool reports its
+     * error to the model instead of ending the reply.
+     * @param {object} reply - The reply being written.
+     * @param {Array<object>} calls - The tool calls.
+     * @param {string} capability - Either chat or vision.
+     * @returns {Promise<Array<object>>} - The `functionResponse` parts to send back.
+     */
+    const runToolCalls = (reply, calls, capability) => Promise.all(calls.map(async (call) => {
+        const updateCall = (fields) => {
+            reply.toolCalls = reply.toolCalls.map(item => (item.id === call.id ? { ...item, ...fields } : item));
+        };
+        reply.toolCalls = [...reply.toolCalls, { id: call.id, name: call.name, args: call.args, status: 'running', result: null }];
+        let response;
+        try {
+            const { sources, ...result } = await runTool(call, { signal: refs.abortController.signal, useStub: usesToolStubs(capability) });
+            response = result;
+            if (Array.isArray(sources)) {
+                const first = reply.citations.length + 1;
+                response.sources = sources.map((source, index) => ({ citation: first + index, ...source }));
+                reply.citations = [...reply.citations, ...response.sources];
+            }
+            updateCall({ status: 'done', result: response });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                updateCall({ status: 'error', result: { error: "Stopped." } });
+                throw error;
+            }
+            console.error(`Tool ${call.name} failed:`, error);
+            response = { error: error.message };
+            updateCall({ status: 'error', result: response });
+        }
+        return { functionResponse: { id: call.id, name: call.name, response } };
+    }));
+
+    /**
+     * Streams a VISION reply into a live bubble, speaking it sentence by
+     * sentence. Tool calls are run and their results sent back until the model
+     * answers without calling any, up to `config.tools.maxSteps` turns. If the
+     * user presses Stop, whatever arrived so far is kept; if the request fails
+     * before anything arrived, the empty bubble is removed.
+     * @param {string} capability - Either chat or vision.
+     * @param {Array<object>} contents - The conversation turns to send.
+     * @param {{sources?: Array<object>}} [options] - Numbered document excerpts
+     * sent with the question; only those the reply cites are kept.
+     * @returns {Promise<{reply: object, error: Error|null}>} - The reply, and what went wrong if it failed.
+     */
+    const streamReply = async (capability, contents, { sources = [] } = {}) => {
+        const reply = createMessage({ role: "vision", text: '' });
+        reply.citations = sources;
+        reply.isStreaming = true;
+        const speaker = createSentenceSpeaker(reply.id);
+        appendToBranch(reply);
+        updateUI();
+
+        let failure = null;
+        try {
+            let turns = contents;
+            for (let step = 1; ; step++) {
+                const stepStart = reply.text.length;
+                const { toolCalls = [] } = await ai.streamChat(capability, turns, {
+                    signal: refs.abortController.signal,
+                    // The last turn gets no tools, so the model has to answer.
+                    tools: step < config.tools.maxSteps ? toolDeclarations() : [],
+                    onToken: (token) => {
+                        // Text written after a round of tool calls starts a new paragraph.
+                        reply.text += reply.text && reply.text.length === stepStart ? `\n\n${token}` : token;
+                        speaker.push(token);
+                    }
+                });
+                if (!toolCalls.length) break;
+                const stepText = reply.text.slice(stepStart).trim();
+                const responses = await runToolCalls(reply, toolCalls, capability);
+                turns = [
+                    ...turns,
+                    { role: 'model', parts: [...(stepText ? [{ text: stepText }] : []), ...toolCalls.map(toolCallPart)] },
+                    { role: 'user', parts: responses }
+                ];
+            }
+            speaker.finish();
+            if (!reply.text) {
+                failure = new ProviderError("The model returned an empty reply.", { category: 'server' });
+            }
+        } catch (error) {
+            speaker.cancel();
+            if (error.name === 'AbortError') {
+                reply.text = reply.text || "(Stopped before VISION could respond.)";
+            } else {
+                console.error(`${capability} API call failed:`, error);
+                failure = error;
+            }
+        } finally {
+            reply.isStreaming = false;
+            if (reply.text) {
+                pruneDocumentCitations(reply);
+                saveMessage(reply);
+            } else {
+                removeFromBranch(reply);
+            }
+        }
+        return { reply, error: failure };
+    };
+
+    /**
+     * Marks the start of a model request: disables input and arms the Stop button.
+     */
+    const beginRequest = () => {
+        state.isLoading = true;
+        refs.abortController = new AbortController();
+        updateUI();
+    };
+
+    /**
+     * Marks the end of a model request and re-enables input.
+     */
+    const endRequest = () => {
+        refs.abortController = null;
+        state.isLoading = false;
+        updateUI();
+        // Deferred so whatever the finished request does next happens first.
+        if (state.offlineQueue.length) setTimeout(flushOfflineQueue);
+    };
+
+    /**
+     * Runs several image requests at once and collects the images that came back.
+     * @param {number} count - How many images to request.
+     * @param {Function} request - Returns a promise for one `{mimeType, data}` image.
+     * @returns {Promise<Array<Blob>>} - The images; throws if every request failed.
+     */
+    const requestImages = async (count, request) => {
+        const results = await Promise.allSettled(Array.from({ length: count }, request));
+        const blobs = results
+            .filter(result => result.status === 'fulfilled' && result.value)
+            .map(({ value }) => new Blob([base64ToArrayBuffer(value.data)], { type: value.mimeType }));
+        const failure = results.find(result => result.status === 'rejected');
+        if (blobs.length === 0 && failure) throw failure.reason;
+        return blobs;
+    };
+
+    /**
+     * Generates one or more images from a prompt and posts them as a VISION reply.
+     * @param {string} imagePrompt - What to draw.
+     * @param {{count?: number}} [options] - How many images (variations) to generate.
+     */
+    const generateImageReply = async (imagePrompt, { count = 1 } = {}) => {
+        if (deferWhileOffline('image', { prompt: imagePrompt, count }, `Generate ${count > 1 ? `${count} images` : 'an image'} of "${imagePrompt}"`)) return;
+        beginRequest();
+        const status = addMessage(createMessage({ role: "vision", text: count > 1 ? `Generating ${count} images of: "${imagePrompt}"...` : `Generating an image of: "${imagePrompt}"...`, isStatus: true }));
+        updateUI();
+        let failure = null;
+        try {
+            const imageBlobs = await requestImages(count, () => ai.generateImage(imagePrompt, { signal: refs.abortController.signal }));
+            if (imageBlobs.length) {
+                replyWith(imageBlobs.length > 1 ? `Here are ${imageBlobs.length} images of "${imagePrompt}".` : `Here is the image of "${imagePrompt}".`, imageBlobs, imagePrompt);
+            } else {
+                failure = new ProviderError("The API returned no image.", { category: 'server' });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                status.text = "Image generation stopped.";
+            } else {
+                console.error('Image generation API call failed:', error);
+                failure = error;
+            }
+        }
+        endRequest();
+        if (failure) {
+            removeFromBranch(status);
+            showRequestError(failure, () => generateImageReply(imagePrompt, { count }));
+        }
+    };
+
+    /**
+     * Sends an image back to the image-editing model with an instruction and
+     * posts the results as a VISION reply.
+     * @param {Blob} imageBlob - The image to edit.
+     * @param {string} instruction - What to change.
+     * @param {{count?: number}} [options] - How many results to create.
+     */
+    const editImageReply = async (imageBlob, instruction, { count = 1 } = {}) => {
+        if (deferWhileOffline('edit', { image: imageBlob, instruction, count }, `Edit the image: "${instruction}"`)) return;
+        beginRequest();
+        const status = addMessage(createMessage({ role: "vision", text: "Editing the image...", isStatus: true }));
+        updateUI();
+        let failure = null;
+        try {
+            const imageBlobs = await requestImages(count, () => ai.editImage(instruction, imageBlob, { signal: refs.abortController.signal }));
+            if (imageBlobs.length) {
+                replyWith(imageBlobs.length > 1 ? `Here are ${imageBlobs.length} versions.` : "Here is the edited image.", imageBlobs, instruction);
+            } else {
+                failure = new ProviderError("The API returned no image.", { category: 'server' });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                status.text = "Image editing stopped.";
+            } else {
+                console.error('Image editing API call failed:', error);
+                failure = error;
+            }
+        }
+        endRequest();
+        if (failure) {
+            removeFromBranch(status);
+            showRequestError(failure, () => editImageReply(imageBlob, instruction, { count }));
+        }
+    };
+
+    /**
+     * Adds a user message (with optional images) and streams VISION's reply
+     * using the whole conversation as context.
+     * @param {string} message - The user's message.
+     * @param {Array<Blob>} [imageBlobs] - Attached images.
+     */
+    const sendChatMessage = async (message, imageBlobs = []) => {
+        addMessage(createMessage({ role: "user", text: message, imageBlobs }));
+        await requestChatReply();
+    };
+
+    /**
+     * Streams VISION's reply to the last message on the current branch. A
+     * reply cut off by an error is kept, and retrying asks for a new version of it.
+     */
+    const requestChatReply = async () => {
+        const question = getContextMessages().at(-1);
+        const imageNote = question?.imageBlobs.length ? ` (${question.imageBlobs.length} image${question.imageBlobs.length > 1 ? 's' : ''})` : '';
+        if (deferWhileOffline('chat', {}, `${question?.text || 'Reply'}${imageNote}`)) return;
+        beginRequest();
+        // The excerpts come out of the same token budget as the history.
+        const excerpts = question?.role === 'user' ? selectExcerpts(question.text) : [];
+        let contents;
+        try {
+            contents = await buildConversationContents({ reservedTokens: estimateExcerptTokens(excerpts), signal: refs.abortController.signal });
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            // Stopped while older messages were being summarized, before anything was asked.
+            endRequest();
+            return;
+        }
+        const sources = addDocumentExcerpts(contents, excerpts);
+        const hasImages = contents.some(turn => turn.parts.some(part => part.inlineData));
+        const { reply, error } = await streamReply(hasImages ? 'vision' : 'chat', contents, { sources });
+        endRequest();
+        if (error) {
+            showRequestError(error, () => (reply.text ? regenerateReply(reply) : requestChatReply()));
+        }
+    };
+
+    /**
+     * Sends whatever the user submitted: a slash command, a natural-language
+     * command trigger, or a chat message for the model. Waits until the saved
+     * conversations are loaded, so the message joins the one that opens.
+     * @param {string} message - The user's message.
+     */
+    const sendMessage = async (message) => {
+        if (!message.trim() && !state.attachments.length) return;
+        await sessionsReady;
+
+        ttsPlayer.stop();
+        discardVoiceTurn();
+        jumpToLatest();
+
+        state.inputValue = '';
+        elements.messageInput.value = '';
+        hideCommandSuggestions();
+
+        const invocation = parseCommand(message);
+        if (invocation) {
+            await runCommand(invocation);
+            return;
+        }
+        await sendChatMessage(message, takeAttachments());
+    };
+
+    // --- Offline Queue ---
+
+    // How each kind of queued request is sent once the connection returns.
+    const offlineRunners = {
+        chat: () => requestChatReply(),
+        image: ({ prompt, count }) => generateImageReply(prompt, { count }),
+        edit: ({ image, instruction, count }) => editImageReply(image, instruction, { count }),
+        summarize: () => handleSummarizeChat()
+    };
+
+    /**
+     * Loads the requests a session queued while offline, oldest first.
+     * @param {string} sessionId - The session id.
+     * @returns {Promise<Array<object>>}
+     */
+    const loadOfflineQueue = async (sessionId) => {
+        const records = await withStore('offlineQueue', 'readonly', store => store.index('sessionId').getAll(sessionId)) || [];
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    };
+
+    /**
+     * Deletes every queued request of a session.
+     * @param {string} sessionId - The session id.
+     */
+    const deleteSessionQueue = async (sessionId) => {
+        const requestIds = await withStore('offlineQueue', 'readonly', store => store.index('sessionId').getAllKeys(sessionId)) || [];
+        await withStore('offlineQueue', 'readwrite', store => requestIds.forEach(id => store.delete(id)));
+    };
+
+    /**
+     * Takes a request off the queue without sending it.
+     * @param {string} id - The queued request's id.
+     */
+    const removeQueuedRequest = async (id) => {
+        state.offlineQueue = state.offlineQueue.filter(item => item.id !== id);
+        updateUI();
+        try {
+            await withStore('offlineQueue', 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('Failed to remove queued request:', error);
+        }
+    };
+
+    /**
+     * While offline, saves a request instead of sending it, so it goes out
+     * once the connection returns, even after a reload. It answers the last
+     * message of the branch shown now.
+     * @param {string} kind - A key of `offlineRunners`.
+     * @param {object} args - What the runner needs, e.g. the image prompt.
+     * @param {string} label - How the request is listed above the input.
+     * @returns {boolean} - True if the request was queued.
+     */
+    const deferWhileOffline = (kind, args, label) => {
+        if (navigator.onLine) return false;
+        const item = {
+            id: crypto.randomUUID(),
+            sessionId: state.activeSessionId,
+            parentId: getContextMessages().at(-1)?.id || null,
+            kind,
+            args,
+            label,
+            createdAt: nextTimestamp()
+        };
+        state.offlineQueue = [...state.offlineQueue, item];
+        updateUI();
+        withStore('offlineQueue', 'readwrite', store => store.put(item))
+            .catch(error => console.error('Failed to save queued request:', error));
+        return true;
+    };
+
+    let isFlushingOfflineQueue = false;
+
+    /**
+     * Sends the open conversation's queued requests one at a time, in the
+     * order they were made. Each answers the message it was made from, and
+     * messages written after it while offline move below its reply, so the
+     * conversation reads in order. Does nothing while offline or while
+     * another request is running.
+     */
+    const flushOfflineQueue = async () => {
+        if (isFlushingOfflineQueue || state.isLoading || !navigator.onLine) return;
+        isFlushingOfflineQueue = true;
+        try {
+            while (state.offlineQueue.length && navigator.onLine) {
+                const [next] = state.offlineQueue;
+                await removeQueuedRequest(next.id);
+                // The message it answers was deleted meanwhile.
+                if (next.parentId && !state.messages.some(msg => msg.id === next.parentId)) continue;
+                const followers = childrenOf(next.parentId).filter(msg => msg.createdAt > next.createdAt);
+                state.chatHistory = pathTo(next.parentId);
+                jumpToLatest();
+                const sentAt = nextTimestamp();
+                await offlineRunners[next.kind](next.args);
+                const reply = getContextMessages().at(-1);
+                if (followers.length && reply && reply.createdAt > sentAt) {
+                    followers.forEach(msg => {
+                        msg.parentId = reply.id;
+                        saveMessage(msg);
+                    });
+                    setActiveLeaf(latestLeaf(reply.id).id);
+                }
+            }
+        } finally {
+            isFlushingOfflineQueue = false;
+            updateUI();
+        }
+    };
+
+    /**
+     * Lists the queued requests above the input, each with a button to drop it.
+     */
+    const renderOfflineQueue = () => {
+        elements.offlineQueue.innerHTML = '';
+        state.offlineQueue.forEach(item => {
+            const label = el('span', 'offline-queue-text', [item.label.replace(/\s+/g, ' ').slice(0, 60)]);
+            const removeButton = el('button', 'offline-queue-remove', ['×']);
+            removeButton.type = 'button';
+            removeButton.setAttribute('aria-label', "Don't send this request");
+            removeButton.addEventListener('click', () => removeQueuedRequest(item.id));
+            elements.offlineQueue.appendChild(el('div', 'offline-queue-item', [label, removeButton]));
+        });
+        if (state.offlineQueue.length) {
+            elements.offlineQueue.prepend(el('span', 'offline-queue-heading', [navigator.onLine ? 'Sending queued requests...' : 'Waiting for a connection']));
+        }
+        elements.offlineQueue.style.display = state.offlineQueue.length ? 'flex' : 'none';
+    };
+
+    // --- Settings Panel ---
+
+    /**
+     * Suggests the prebuilt voices of the provider chosen for text-to-speech.
+     * @param {string} providerName - A key of `config.providers`.
+     */
+    const updateVoiceOptions = (providerName) => {
+        const voices = ttsVoices[config.providers[providerName]?.type] || [];
+        elements.settingsVoiceOptions.innerHTML = '';
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice;
+            elements.settingsVoiceOptions.appendChild(option);
+        });
+    };
+
+    // The personas as edited in the settings panel; they replace the saved ones on Save.
+    const personaEditor = {
+        personas: [],
+        selectedId: null
+    };
+
+    /**
+     * The persona selected for editing in the settings panel.
+     * @returns {object|undefined}
+     */
+    const editedPersona = () => personaEditor.personas.find(persona => persona.id === personaEditor.selectedId);
+
+    /**
+     * Fills the persona fields of the settings panel from the selected persona.
+     */
+    const renderPersonaEditor = () => {
+        const persona = editedPersona();
+        elements.settingsPersona.innerHTML = '';
+        personaEditor.personas.forEach(item => {
+            const option = el('option', null, [item.name]);
+            option.value = item.id;
+            option.selected = item === persona;
+            elements.settingsPersona.appendChild(option);
+        });
+        elements.settingsPersonaName.value = persona.name;
+        elements.settingsPersonaInstruction.value = persona.systemInstruction;
+        elements.settingsPersonaTemperature.value = persona.temperature ?? '';
+        elements.settingsPersonaTopP.value = persona.topP ?? '';
+        elements.settingsPersonaMaxTokens.value = persona.maxOutputTokens ?? '';
+        elements.settingsPersonaVoice.value = persona.voice;
+        elements.settingsPersonaModel.value = persona.model;
+        elements.settingsPersonaSafety.innerHTML = '';
+        Object.entries(safetyCategories).forEach(([category, label]) => {
+            const select = el('select', 'settings-select', Object.entries(safetyThresholds).map(([threshold, name]) => {
+                const option = el('option', null, [name]);
+                option.value = threshold;
+                option.selected = threshold === (persona.safety[category] || '');
+                return option;
+            }));
+            select.name = category;
+            elements.settingsPersonaSafety.appendChild(el('label', 'settings-row', [el('span', 'settings-label', [label]), select]));
+        });
+        elements.settingsPersonaDelete.disabled = personaEditor.personas.length < 2;
+    };
+
+    /**
+     * Copies the persona fields of the settings panel back into the persona
+     * being edited. Out-of-range numbers are clamped.
+     */
+    const readPersonaFields = () => {
+        const persona = editedPersona();
+        if (!persona) return;
+        const safety = {};
+        elements.settingsPersonaSafety.querySelectorAll('select').forEach(select => {
+            if (select.value) safety[select.name] = select.value;
+        });
+        const updated = normalizePersona({
+            id: persona.id,
+            name: elements.settingsPersonaName.value.trim() || persona.name,
+            systemInstruction: elements.settingsPersonaInstruction.value.trim(),
+            temperature: elements.settingsPersonaTemperature.value,
+            topP: elements.settingsPersonaTopP.value,
+            maxOutputTokens: elements.settingsPersonaMaxTokens.value,
+            safety,
+            voice: elements.settingsPersonaVoice.value,
+            model: elements.settingsPersonaModel.value
+        });
+        personaEditor.personas = personaEditor.personas.map(item => (item === persona ? updated : item));
+    };
+
+    /**
+     * Switches the settings panel to editing another persona.
+     * @param {string} personaId - The persona id.
+     */
+    const selectEditedPersona = (personaId) => {
+        readPersonaFields();
+        personaEditor.selectedId = personaId;
+        renderPersonaEditor();
+    };
+
+    /**
+     * Adds a blank persona in the settings panel and selects it.
+     */
+    const addPersona = () => {
+        readPersonaFields();
+        const persona = createPersona();
+        personaEditor.personas = [...personaEditor.personas, persona];
+        personaEditor.selectedId = persona.id;
+        renderPersonaEditor();
+        elements.settingsPersonaName.select();
+    };
+
+    /**
+     * Removes the selected persona in the settings panel. The last one is kept.
+     */
+    const deleteEditedPersona = () => {
+        const persona = editedPersona();
+        if (personaEditor.personas.length < 2 || !confirm(`Delete the "${persona.name}" persona?`)) return;
+        personaEditor.personas = personaEditor.personas.filter(item => item !== persona);
+        personaEditor.selectedId = personaEditor.personas[0].id;
+        renderPersonaEditor();
+    };
+
+    /**
+     * Downloads the personas in the settings panel as JSON.
+     */
+    const exportPersonas = () => {
+        readPersonaFields();
+        const json = JSON.stringify({ personas: personaEditor.personas }, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'vision-personas.json');
+    };
+
+    /**
+     * Adds the personas from an exported JSON file to the settings panel.
+     * Personas with the id of an existing one replace it.
+     * @param {File} file - The chosen file.
+     */
+    const importPersonas = async (file) => {
+        try {
+            const data = JSON.parse(await file.text());
+            const imported = Array.isArray(data) ? data : data?.personas;
+            if (!Array.isArray(imported) || imported.length === 0) {
+                throw new Error("The file contains no personas.");
+            }
+            const personas = imported.map(normalizePersona);
+            readPersonaFields();
+            const byId = new Map(personaEditor.personas.map(persona => [persona.id, persona]));
+            personas.forEach(persona => byId.set(persona.id, persona));
+            personaEditor.personas = [...byId.values()];
+            personaEditor.selectedId = personas[0].id;
+            renderPersonaEditor();
+        } catch (error) {
+            alert(`Couldn't import personas: ${error.message}`);
+        }
+    };
+
+    /**
+     * Opens the settings panel, filled in from the current configuration.
+     */
+    const openSettings = () => {
+        personaEditor.personas = state.personas.map(persona => ({ ...persona, safety: { ...persona.safety } }));
+        personaEditor.selectedId = activePersona().id;
+        renderPersonaEditor();
+        const providerNames = Object.keys(config.providers);
+        elements.settingsProviders.innerHTML = '';
+        Object.entries(config.capabilities).forEach(([capability, settings]) => {
+            const select = el('select', 'settings-select', providerNames.map(name => {
+                const option = el('option', null, [name]);
+                option.value = name;
+                option.selected = name === settings.provider;
+                return option;
+            }));
+            select.name = `${capability}-provider`;
+
+            const model = el('input', 'settings-input');
+            model.type = 'text';
+            model.name = `${capability}-model`;
+            model.value = settings.model || '';
+            model.placeholder = 'Model';
+
+            if (capability === 'tts') {
+                select.addEventListener('change', () => updateVoiceOptions(select.value));
+            }
+
+            elements.settingsProviders.appendChild(el('label', 'settings-row', [el('span', 'settings-label', [capability]), select, model]));
+        });
+        updateVoiceOptions(config.capabilities.tts.provider);
+        elements.settingsVoice.value = config.capabilities.tts.voice || '';
+        elements.settingsRate.value = config.playback.rate;
+        elements.settingsRateValue.textContent = `${config.playback.rate}x`;
+        const languages = { [config.voice.language]: config.voice.language, ...recognitionLanguages };
+        elements.settingsLanguage.innerHTML = '';
+        Object.entries(languages).forEach(([tag, name]) => {
+            const option = el('option', null, [name]);
+            option.value = tag;
+            option.selected = tag === config.voice.language;
+            elements.settingsLanguage.appendChild(option);
+        });
+        elements.settingsWakePhrase.value = config.voice.wakePhrase;
+        elements.settingsSilence.value = config.voice.silenceTimeout;
+        elements.settingsPanel.showModal();
+    };
+
+    /**
+     * Applies and saves the settings panel when it was closed with Save.
+     */
+    const handleSettingsClose = () => {
+        if (elements.settingsPanel.returnValue !== 'save') return;
+        readPersonaFields();
+        savePersonas(personaEditor.personas);
+        const stored = loadStoredSettings();
+        stored.capabilities = stored.capabilities || {};
+        Object.keys(config.capabilities).forEach(capability => {
+            const provider = elements.settingsProviders.querySelector(`[name="${capability}-provider"]`).value;
+            const model = elements.settingsProviders.querySelector(`[name="${capability}-model"]`).value.trim();
+            Object.assign(config.capabilities[capability], { provider, model });
+            stored.capabilities[capability] = { ...stored.capabilities[capability], provider, model };
+        });
+        const voice = elements.settingsVoice.value.trim() || config.capabilities.tts.voice;
+        const rate = Number(elements.settingsRate.value);
+        config.capabilities.tts.voice = voice;
+        stored.capabilities.tts.voice = voice;
+        config.playback.rate = rate;
+        stored.playback = { ...stored.playback, rate };
+        const voiceSettings = {
+            language: elements.settingsLanguage.value,
+            wakePhrase: elements.settingsWakePhrase.value.trim(),
+            silenceTimeout: Number(elements.settingsSilence.value) || config.voice.silenceTimeout
+        };
+        Object.assign(config.voice, voiceSettings);
+        stored.voice = voiceSettings;
+        if (refs.recognition) refs.recognition.lang = config.voice.language;
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(stored));
+        updateUI();
+    };
+
+    // --- Image Gallery ---
+
+    const MAX_COMPARED_IMAGES = 4;
+    const MAX_VARIATIONS = 4;
+    const VARIATION_INSTRUCTION = "Create a variation of this image that keeps its subject, composition and style.";
+
+    // Object URLs of the thumbnails currently shown in the gallery.
+    let galleryUrls = [];
+
+    /**
+     * Lists every image in the open conversation, or in all stored
+     * conversations, newest first.
+     * @returns {Promise<Array<{key: string, messageId: string, sessionId: string, blob: Blob, prompt: string, isGenerated: boolean, createdAt: number}>>}
+     */
+    const collectGalleryImages = async () => {
+        const messages = state.gallery.scope === 'all'
+            ? (await withStore('messages', 'readonly', store => store.getAll()) || []).map(record => ({ ...record, imageBlobs: storedImages(record) }))
+            : state.messages.map(msg => ({ ...msg, sessionId: state.activeSessionId }));
+        return messages
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .flatMap(msg => msg.imageBlobs.map((blob, index) => ({
+                key: `${msg.id}:${index}`,
+                messageId: msg.id,
+                sessionId: msg.sessionId,
+                blob,
+                prompt: msg.imagePrompt || (msg.role === 'user' ? msg.text : ''),
+                isGenerated: msg.role === 'vision',
+                createdAt: msg.createdAt
+            })));
+    };
+
+    /**
+     * A download file name for a gallery image, based on its prompt.
+     * @param {object} item - The gallery item.
+     * @returns {string}
+     */
+    const galleryFileName = (item) => {
+        const slug = item.prompt.replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '').toLowerCase().slice(0, 40) || 'image';
+        return `vision-${slug}-${new Date(item.createdAt).toISOString().slice(0, 10)}.${imageExtension(item.blob.type)}`;
+    };
+
+    /**
+     * Closes the gallery and runs an image action in the open conversation,
+     * unless another request is still running.
+     * @param {Function} action - Starts the request.
+     */
+    const runGalleryAction = (action) => {
+        if (state.isLoading) {
+            alert("Please wait for the current request to finish.");
+            return;
+        }
+        elements.galleryPanel.close();
+        action();
+    };
+
+    /**
+     * Asks how many variations to create.
+     * @returns {number|null} - A count from 1 to MAX_VARIATIONS, or null if cancelled.
+     */
+    const askVariationCount = () => {
+        const answer = prompt(`How many variations? (1-${MAX_VARIATIONS})`, '2');
+        if (answer === null) return null;
+        const count = parseInt(answer, 10);
+        if (!(count >= 1 && count <= MAX_VARIATIONS)) {
+            alert(`Please enter a number from 1 to ${MAX_VARIATIONS}.`);
+            return null;
+        }
+        return count;
+    };
+
+    /**
+     * Makes variations of an image: generated images are re-run from their
+     * prompt, other images go through the image-editing model.
+     * @param {object} item - The gallery item.
+     */
+    const createVariations = (item) => {
+        const count = askVariationCount();
+        if (!count) return;
+        runGalleryAction(() => {
+            if (item.isGenerated && item.prompt) {
+                addMessage(createMessage({ role: "user", text: `Create ${count} variations of "${item.prompt}".` }));
+                generateImageReply(item.prompt, { count });
+            } else {
+                addMessage(createMessage({ role: "user", text: `Create ${count} variations of this image.`, imageBlobs: [item.blob] }));
+                editImageReply(item.blob, VARIATION_INSTRUCTION, { count });
+            }
+        });
+    };
+
+    /**
+     * Opens the conversation an image came from and scrolls to it. Another
+     * conversation can't be opened while a reply is loading.
+     * @param {object} item - The gallery item.
+     */
+    const showInChat = async (item) => {
+        const isElsewhere = item.sessionId !== state.activeSessionId;
+        if (isElsewhere && state.isLoading) {
+            alert("Please wait for the current request to finish.");
+            return;
+        }
+        elements.galleryPanel.close();
+        if (isElsewhere) await switchSession(item.sessionId);
+        const msg = state.messages.find(message => message.id === item.messageId);
+        if (msg) showMessage(msg);
+    };
+
+    /**
+     * Builds one gallery card with its actions.
+     * @param {object} item - The gallery item.
+     * @param {string} url - Object URL of the image.
+     * @returns {HTMLElement}
+     */
+    const createGalleryCard = (item, url) => {
+        // Dimmed while a request runs, when opening it would mean switching conversations.
+        const image = el('img', `gallery-image${item.sessionId !== state.activeSessionId ? ' elsewhere' : ''}`);
+        image.src = url;
+        image.alt = item.prompt || 'Uploaded image';
+        image.title = 'Show in conversation';
+        image.addEventListener('click', () => showInChat(item));
+
+        const compare = el('input');
+        compare.type = 'checkbox';
+        compare.checked = state.gallery.selected.includes(item.key);
+        compare.disabled = !compare.checked && state.gallery.selected.length >= MAX_COMPARED_IMAGES;
+        compare.addEventListener('change', () => {
+            state.gallery.selected = compare.checked
+                ? [...state.gallery.selected, item.key]
+                : state.gallery.selected.filter(key => key !== item.key);
+            renderGallery();
+        });
+
+        const action = (label, onClick) => {
+            const button = el('button', 'gallery-action', [label]);
+            button.type = 'button';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        const actions = [action('Download', () => downloadBlob(item.blob, galleryFileName(item)))];
+        if (item.isGenerated && item.prompt) {
+            actions.push(action('Regenerate', () => runGalleryAction(() => {
+                addMessage(createMessage({ role: "user", text: `/image ${item.prompt}` }));
+                generateImageReply(item.prompt);
+            })));
+        }
+        actions.push(action('Variations', () => createVariations(item)));
+        actions.push(action('Edit', () => {
+            const instruction = prompt("How should this image be changed?");
+            if (instruction && instruction.trim()) {
+                runGalleryAction(() => {
+                    addMessage(createMessage({ role: "user", text: instruction.trim(), imageBlobs: [item.blob] }));
+                    editImageReply(item.blob, instruction.trim());
+                });
+            }
+        }));
+
+        const source = item.isGenerated ? 'Generated' : 'Uploaded';
+        const session = state.gallery.scope === 'all' ? state.sessions.find(candidate => candidate.id === item.sessionId) : null;
+        return el('div', `gallery-card${compare.checked ? ' selected' : ''}`, [
+            image,
+            el('p', 'gallery-prompt', [item.prompt || 'Uploaded image']),
+            el('p', 'gallery-meta', [`${source} · ${new Date(item.createdAt).toLocaleString()}${session ? ` · ${session.title}` : ''}`]),
+            el('label', 'gallery-select', [compare, ' Compare']),
+            el('div', 'gallery-actions', actions)
+        ]);
+    };
+
+    // Bumped on every render, so a slower, older render can't overwrite a newer one.
+    let galleryToken = 0;
+
+    /**
+     * Renders the gallery grid, or the side-by-side comparison of the selected images.
+     */
+    const renderGallery = async () => {
+        const token = ++galleryToken;
+        const items = await collectGalleryImages();
+        if (token !== galleryToken) return;
+        galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        galleryUrls = items.map(item => URL.createObjectURL(item.blob));
+
+        state.gallery.selected = state.gallery.selected.filter(key => items.some(item => item.key === key));
+        const selectedCount = state.gallery.selected.length;
+        if (selectedCount < 2) state.gallery.isComparing = false;
+        elements.galleryCompareBtn.disabled = selectedCount < 2;
+        elements.galleryCompareBtn.textContent = state.gallery.isComparing ? 'Back to gallery' : `Compare${selectedCount ? ` (${selectedCount})` : ''}`;
+
+        elements.galleryGrid.innerHTML = '';
+        elements.galleryCompare.innerHTML = '';
+        if (state.gallery.isComparing) {
+            state.gallery.selected.forEach(key => {
+                const index = items.findIndex(item => item.key === key);
+                const image = el('img', 'gallery-compare-image');
+                image.src = galleryUrls[index];
+                image.alt = items[index].prompt || 'Uploaded image';
+                elements.galleryCompare.appendChild(el('figure', 'gallery-compare-item', [image, el('figcaption', 'gallery-prompt', [items[index].prompt || 'Uploaded image'])]));
+            });
+        } else {
+            items.forEach((item, index) => elements.galleryGrid.appendChild(createGalleryCard(item, galleryUrls[index])));
+            if (items.length === 0) {
+                elements.galleryGrid.appendChild(el('p', 'gallery-empty', ["No images yet. Generate one with /image or attach one to a message."]));
+            }
+        }
+        elements.galleryCompare.style.display = state.gallery.isComparing ? 'grid' : 'none';
+        elements.galleryGrid.style.display = state.gallery.isComparing ? 'none' : 'grid';
+    };
+
+    /**
+     * Opens the gallery panel.
+     */
+    const openGallery = () => {
+        state.gallery.isComparing = false;
+        elements.galleryScope.value = state.gallery.scope;
+        elements.galleryPanel.showModal();
+        renderGallery();
+    };
+
+    /**
+     * Releases the gallery's thumbnails once it is closed.
+     */
+    const handleGalleryClose = () => {
+        galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        galleryUrls = [];
+        elements.galleryGrid.innerHTML = '';
+        elements.galleryCompare.innerHTML = '';
+    };
+
+    // --- Slash Commands ---
+
+    const commands = new Map();
+
+    /**
+     * Registers a slash command. Any part of the app can add its own.
+     * @param {object} command - The command definition.
+     * @param {string} command.name - Name typed after the slash.
+     * @param {string} command.description - One-line help text.
+     * @param {Array<{name: string, description: string, required?: boolean}>} [command.args] - Declared arguments.
+     * @param {Array<string>} [command.aliases] - Alternative names.
+     * @param {Array<RegExp>} [command.triggers] - Natural-language patterns; the first capture group becomes the arguments.
+     * @param {boolean} [command.requiresIdle] - Refuse to run while a request is in flight.
+     * @param {Function} command.run - Called with `(args, rawMessage)`.
+     */
+    const registerCommand = (command) => {
+        commands.set(command.name, { args: [], aliases: [], triggers: [], requiresIdle: false, ...command });
+    };
+
+    /**
+     * Finds a command by name or alias.
+     * @param {string} name - The typed name, without the slash.
+     * @returns {object|undefined}
+     */
+    const findCommand = (name) => {
+        const needle = name.toLowerCase();
+        return [...commands.values()].find(command => command.name === needle || command.aliases.includes(needle));
+    };
+
+    /**
+     * Formats a command's usage line, e.g. "/image <prompt>".
+     * @param {object} command - The command.
+     * @returns {string}
+     */
+    const formatCommandUsage = (command) =>
+        [`/${command.name}`, ...command.args.map(arg => arg.required ? `<${arg.name}>` : `[${arg.name}]`)].join(' ');
+
+    /**
+     * Resolves a submitted message to a command invocation, if it is one.
+     * Natural-language triggers are skipped while an image is attached, so a
+     * prompt about the image still goes to the vision model.
+     * @param {string} message - The submitted text.
+     * @returns {{command: object, args: string, raw: string}|null}
+     */
+    const parseCommand = (message) => {
+        const trimmed = message.trim();
+        const slash = /^\/(\S+)\s*([\s\S]*)$/.exec(trimmed);
+        if (slash) {
+            const command = findCommand(slash[1]);
+            return command ? { command, args: slash[2].trim(), raw: trimmed } : null;
+        }
+        if (state.attachments.length) return null;
+        for (const command of commands.values()) {
+            for (const trigger of command.triggers) {
+                const match = trigger.exec(trimmed);
+                if (match) return { command, args: (match[1] || '').trim(), raw: trimmed };
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Runs a parsed command, checking its required arguments first.
+     * @param {{command: object, args: string, raw: string}} invocation - The parsed command.
+     */
+    const runCommand = async ({ command, args, raw }) => {
+        if (command.requiresIdle && state.isLoading) return;
+        const missing = command.args.find(arg => arg.required) && !args;
+        if (missing) {
+            addMessage(createMessage({ role: "vision", text: `Usage: \`${formatCommandUsage(command)}\` — ${command.description}`, isStatus: true }));
+            updateUI();
+            return;
+        }
+        try {
+            await command.run(args, raw);
+        } catch (error) {
+            console.error(`Command /${command.name} failed:`, error);
+            addMessage(createMessage({ role: "vision", text: `The /${command.name} command failed: ${error.message}`, isStatus: true }));
+            updateUI();
+        }
+    };
+
+    /**
+     * Downloads a Blob under the given file name.
+     * @param {Blob} blob - The file contents.
+     * @param {string} fileName - The suggested file name.
+     */
+    const downloadBlob = (blob, fileName) => {
+        const url = URL.createObjectURL(blob);
+        const link = el('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    /**
+     * Exports the open conversation as Markdown or JSON.
+     * @param {string} format - Either "md" or "json".
+     */
+    const exportConversation = async (format) => {
+        const session = getActiveSession();
+        const title = session?.title || 'Conversation';
+        const messages = getContextMessages();
+        const baseName = title.replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'conversation';
+
+        if (format === 'json') {
+            const exported = await Promise.all(messages.map(async (msg) => ({
+                role: msg.role,
+                text: msg.text,
+                createdAt: new Date(msg.createdAt).toISOString(),
+                toolCalls: msg.toolCalls.map(({ name, args, result }) => ({ name, args, result })),
+                citations: msg.citations,
+                images: await Promise.all(msg.imageBlobs.map(async blob => (await blobToInlineData(blob)).inlineData))
+            })));
+            const json = JSON.stringify({ title, exportedAt: new Date().toISOString(), messages: exported }, null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName}.json`);
+        } else {
+            const markdown = [`# ${title}`, ...messages.map(msg => {
+                const author = msg.role === 'user' ? 'You' : 'VISION';
+                const image = msg.imageBlobs.length ? `\n\n_[${msg.imageBlobs.length} image(s) attached]_` : '';
+                const sources = msg.citations.length ? `\n\nSources:\n${msg.citations.map((source, index) => `${source.citation || index + 1}. ${source.url ? `[${citationLabel(source)}](${source.url})` : citationLabel(source)}`).join('\n')}` : '';
+                return `**${author}** (${new Date(msg.createdAt).toLocaleString()}):\n\n${msg.text}${sources}${image}`;
+            })].join('\n\n---\n\n');
+            downloadBlob(new Blob([markdown], { type: 'text/markdown' }), `${baseName}.md`);
+        }
+    };
+
+    /**
+     * The most recent image in the open conversation.
+     * @returns {Blob|null}
+     */
+    const findLatestImage = () => [...state.chatHistory].reverse().find(msg => msg.imageBlobs.length)?.imageBlobs.at(-1) || null;
+
+    registerCommand({
+        name: 'image',
+        aliases: ['img', 'imagine'],
+        description: 'Generate an image from a text prompt.',
+        args: [{ name: 'prompt', description: 'What to draw.', required: true }],
+        triggers: [/^generate an image of\b([\s\S]*)$/i],
+        requiresIdle: true,
+        run: async (prompt, raw) => {
+            addMessage(createMessage({ role: "user", text: raw }));
+            await generateImageReply(prompt);
+        }
+    });
+
+    registerCommand({
+        name: 'summarize',
+        description: 'Summarize the conversation so far.',
+        requiresIdle: true,
+        run: () => handleSummarizeChat()
+    });
+
+    registerCommand({
+        name: 'describe',
+        description: 'Describe the attached images, or the latest image in the conversation.',
+        args: [{ name: 'question', description: 'What to focus on.' }],
+        requiresIdle: true,
+        run: async (question) => {
+            const latestImage = findLatestImage();
+            if (!state.attachments.length && !latestImage) {
+                addMessage(createMessage({ role: "vision", text: "There is no image to describe. Attach one first.", isStatus: true }));
+                updateUI();
+                return;
+            }
+            const imageBlobs = state.attachments.length ? takeAttachments() : [latestImage];
+            await sendChatMessage(question || (imageBlobs.length > 1 ? "Describe these images in detail." : "Describe this image in detail."), imageBlobs);
+        }
+    });
+
+    registerCommand({
+        name: 'speak',
+        description: "Read text aloud, or VISION's last reply.",
+        args: [{ name: 'text', description: 'What to say.' }],
+        run: (text) => {
+            const lastReply = [...getContextMessages()].reverse().find(msg => msg.role === 'vision');
+            const toSpeak = text || lastReply?.text;
+            if (toSpeak) ttsPlayer.replay(toSpeak, { messageId: text ? null : lastReply.id });
+        }
+    });
+
+    registerCommand({
+        name: 'clear',
+        description: 'Delete every message in this conversation.',
+        requiresIdle: true,
+        run: async () => {
+            if (confirm("Clear this conversation? This cannot be undone.")) {
+                await clearActiveSession();
+            }
+        }
+    });
+
+    registerCommand({
+        name: 'export',
+        description: 'Download this conversation as Markdown or JSON.',
+        args: [{ name: 'format', description: '"md" (default) or "json".' }],
+        run: (format) => exportConversation(format.toLowerCase() === 'json' ? 'json' : 'md')
+    });
+
+    registerCommand({
+        name: 'gallery',
+        aliases: ['images'],
+        description: 'Browse, download and rework generated and uploaded images.',
+        run: () => openGallery()
+    });
+
+    registerCommand({
+        name: 'persona',
+        description: 'Switch this conversation to another persona, or list them.',
+        args: [{ name: 'name', description: 'The persona to use.' }],
+        requiresIdle: true,
+        run: async (name) => {
+            const needle = name.trim().toLowerCase();
+            const persona = needle && (state.personas.find(item => item.name.toLowerCase() === needle)
+                || state.personas.find(item => item.name.toLowerCase().startsWith(needle)));
+            let text;
+            if (persona) {
+                await setSessionPersona(persona.id);
+                text = `This conversation now uses the **${persona.name}** persona.`;
+            } else {
+                const current = activePersona();
+                const list = state.personas.map(item => `- ${item.name}${item === current ? ' (current)' : ''}`).join('\n');
+                text = `${needle ? `There is no persona called "${name.trim()}". ` : ''}The personas are:\n\n${list}`;
+            }
+            addMessage(createMessage({ role: "vision", text, isStatus: true }));
+            updateUI();
+        }
+    });
+
+    registerCommand({
+        name: 'settings',
+        aliases: ['config'],
+        description: 'Open the settings panel.',
+        run: () => openSettings()
+    });
+
+    registerCommand({
+        name: 'help',
+        aliases: ['?'],
+        description: 'List the available commands, or explain one.',
+        args: [{ name: 'command', description: 'A command name.' }],
+        run: (name) => {
+            const command = name && findCommand(name.replace(/^\//, ''));
+            let text;
+            if (command) {
+                const args = command.args.map(arg => `- \`${arg.name}\`${arg.required ? '' : ' (optional)'}: ${arg.description}`).join('\n');
+                const aliases = command.aliases.length ? `\n\nAliases: ${command.aliases.map(alias => `\`/${alias}\``).join(', ')}` : '';
+                text = `**\`${formatCommandUsage(command)}\`**\n\n${command.description}${args ? `\n\n${args}` : ''}${aliases}`;
+            } else {
+                const rows = [...commands.values()].map(item => `| \`${formatCommandUsage(item)}\` | ${item.description} |`);
+                text = ['**Available commands**', '', '| Command | Description |', '| --- | --- |', ...rows].join('\n');
+            }
+            addMessage(createMessage({ role: "vision", text, isStatus: true }));
+            updateUI();
+        }
+    });
+
+    // --- Command Autocomplete ---
+
+    /**
+     * Hides the command autocomplete popup.
+     */
+    const hideCommandSuggestions = () => {
+        state.commandSuggestions = [];
+        elements.commandSuggestions.style.display = 'none';
+    };
+
+    /**
+     * Renders the autocomplete popup for the current suggestions.
+     * @param {boolean} hintOnly - Show a single usage hint instead of a pickable list.
+     */
+    const renderCommandSuggestions = (hintOnly) => {
+        elements.commandSuggestions.innerHTML = '';
+        state.commandSuggestions.forEach((command, index) => {
+            const item = el('li', `command-suggestion${!hintOnly && index === state.activeSuggestion ? ' active' : ''}`, [
+                el('span', 'command-usage', [formatCommandUsage(command)]),
+                el('span', 'command-description', [command.description])
+            ]);
+            item.setAttribute('role', 'option');
+            if (!hintOnly) {
+                item.addEventListener('mousedown', (event) => {
+                    event.preventDefault();
+                    completeCommand(command);
+                });
+            }
+            elements.commandSuggestions.appendChild(item);
+        });
+        elements.commandSuggestions.style.display = state.commandSuggestions.length ? 'block' : 'none';
+    };
+
+    /**
+     * Refreshes the popup from the input: matching commands while the name is
+     * being typed, then a usage hint once arguments are being entered.
+     */
+    const updateCommandSuggestions = () => {
+        const match = /^\/(\S*)(\s[\s\S]*)?$/.exec(elements.messageInput.value);
+        if (!match) {
+            hideCommandSuggestions();
+            return;
+        }
+        if (match[2] !== undefined) {
+            const command = findCommand(match[1]);
+            state.commandSuggestions = command && command.args.length ? [command] : [];
+            renderCommandSuggestions(true);
+            return;
+        }
+        const typed = match[1].toLowerCase();
+        state.commandSuggestions = [...commands.values()].filter(command =>
+            command.name.startsWith(typed) || command.aliases.some(alias => alias.startsWith(typed)));
+        state.activeSuggestion = 0;
+        renderCommandSuggestions(false);
+    };
+
+    /**
+     * Fills the input with the chosen command, ready for its arguments.
+     * @param {object} command - The chosen command.
+     */
+    const completeCommand = (command) => {
+        elements.messageInput.value = `/${command.name}${command.args.length ? ' ' : ''}`;
+        state.inputValue = elements.messageInput.value;
+        updateCommandSuggestions();
+        updateUI();
+        elements.messageInput.focus();
+    };
+
+    /**
+     * Keyboard navigation for the autocomplete popup.
+     * @param {KeyboardEvent} event - The keydown event.
+     */
+    const handleCommandKeydown = (event) => {
+        const suggestions = state.commandSuggestions;
+        const picking = suggestions.length > 0 && !/\s/.test(elements.messageInput.value);
+        if (!picking) return;
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            state.activeSuggestion = (state.activeSuggestion + step + suggestions.length) % suggestions.length;
+            renderCommandSuggestions(false);
+        } else if (event.key === 'Tab' || event.key === 'Enter') {
+            event.preventDefault();
+            const command = suggestions[state.activeSuggestion];
+            if (event.key === 'Enter' && command.args.length === 0) {
+                sendMessage(`/${command.name}`);
+            } else {
+                completeCommand(command);
+            }
+        } else if (event.key === 'Escape') {
+            hideCommandSuggestions();
+        }
+    };
+
+    // --- Event Listeners ---
+
+    elements.chatForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        sendMessage(state.inputValue);
+    });
+
+    elements.messageInput.addEventListener('input', (event) => {
+        state.inputValue = event.target.value;
+        updateCommandSuggestions();
+        updateUI();
+    });
+
+    elements.messageInput.addEventListener('keydown', handleCommandKeydown);
+    elements.messageInput.addEventListener('blur', () => setTimeout(hideCommandSuggestions, 150));
+
+    elements.searchInput.addEventListener('input', scheduleSearchChange);
+    elements.searchOptions.addEventListener('change', handleSearchChange);
+
+    elements.searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            // Search for what was just typed before moving between matches.
+            if (searchInputTimer) {
+                handleSearchChange();
+            } else {
+                navigateSearch(event.shiftKey ? -1 : 1);
+            }
+        } else if (event.key === 'Escape') {
+            elements.searchInput.value = '';
+            handleSearchChange();
+        }
+    });
+
+    elements.chatHistoryDiv.addEventListener('scroll', renderJumpToLatest, { passive: true });
+    elements.jumpToLatestBtn.addEventListener('click', jumpToLatest);
+
+    window.addEventListener('online', () => {
+        updateUI();
+        flushOfflineQueue();
+    });
+    window.addEventListener('offline', updateUI);
+
+    elements.searchPrevBtn.addEventListener('click', () => navigateSearch(-1));
+    elements.searchNextBtn.addEventListener('click', () => navigateSearch(1));
+
+    elements.searchOptionsBtn.addEventListener('click', () => {
+        const isOpen = elements.searchOptions.style.display !== 'none';
+        elements.searchOptions.style.display = isOpen ? 'none' : 'grid';
+        elements.searchOptionsBtn.setAttribute('aria-expanded', String(!isOpen));
+    });
+
+    elements.imageUploadBtn.addEventListener('click', () => {
+        elements.imageUploadInput.click();
+    });
+
+    elements.imageUploadInput.addEventListener('change', (event) => {
+        const files = [...event.target.files];
+        event.target.value = '';
+        addAttachments(files);
+    });
+
+    elements.messageInput.addEventListener('paste', (event) => {
+        const files = [...event.clipboardData.files].filter(file => file.type.startsWith('image/') || documentKindOf(file));
+        if (files.length === 0) return;
+        event.preventDefault();
+        addAttachments(files);
+    });
+
+    const hasDraggedFiles = (event) => [...event.dataTransfer.types].includes('Files');
+
+    elements.chatPanel.addEventListener('dragover', (event) => {
+        if (!hasDraggedFiles(event)) return;
+        event.preventDefault();
+        elements.chatPanel.classList.add('drag-over');
+    });
+
+    elements.chatPanel.addEventListener('dragleave', (event) => {
+        if (!elements.chatPanel.contains(event.relatedTarget)) {
+            elements.chatPanel.classList.remove('drag-over');
+        }
+    });
+
+    elements.chatPanel.addEventListener('drop', (event) => {
+        if (!hasDraggedFiles(event)) return;
+        event.preventDefault();
+        elements.chatPanel.classList.remove('drag-over');
+        addAttachments([...event.dataTransfer.files]);
+    });
+
+    elements.stopButton.addEventListener('click', () => {
+        refs.abortController?.abort();
+        ttsPlayer.stop();
+    });
+
+    elements.playbackPauseBtn.addEventListener('click', () => {
+        if (ttsPlayer.getState().isPaused) {
+            ttsPlayer.resume();
+        } else {
+            ttsPlayer.pause();
+        }
+    });
+    elements.playbackSkipBtn.addEventListener('click', () => ttsPlayer.skip());
+    elements.playbackStopBtn.addEventListener('click', () => ttsPlayer.stop());
+
+    elements.summarizeChatBtn.addEventListener('click', handleSummarizeChat);
+
+    elements.newSessionBtn.addEventListener('click', () => {
+        if (!state.isLoading) createSession();
+    });
+
+    let sessionSearchTimer = null;
+    elements.sessionSearchInput.addEventListener('input', (event) => {
+        state.sessionQuery = event.target.value;
+        clearTimeout(sessionSearchTimer);
+        sessionSearchTimer = setTimeout(renderSessionList, SEARCH_DEBOUNCE_MS);
+    });
+
+    elements.settingsBtn.addEventListener('click', openSettings);
+
+    elements.galleryBtn.addEventListener('click', openGallery);
+    elements.galleryPanel.addEventListener('close', handleGalleryClose);
+    elements.galleryScope.addEventListener('change', () => {
+        state.gallery.scope = elements.galleryScope.value;
+        state.gallery.isComparing = false;
+        renderGallery();
+    });
+    elements.galleryCompareBtn.addEventListener('click', () => {
+        state.gallery.isComparing = !state.gallery.isComparing;
+        renderGallery();
+    });
+    elements.settingsPanel.addEventListener('close', handleSettingsClose);
+    elements.settingsRate.addEventListener('input', () => {
+        elements.settingsRateValue.textContent = `${elements.settingsRate.value}x`;
+    });
+    elements.settingsPersona.addEventListener('change', () => selectEditedPersona(elements.settingsPersona.value));
+    elements.settingsPersonaNew.addEventListener('click', addPersona);
+    elements.settingsPersonaDelete.addEventListener('click', deleteEditedPersona);
+    elements.settingsPersonaExport.addEventListener('click', exportPersonas);
+    elements.settingsPersonaImport.addEventListener('click', () => elements.settingsPersonaFile.click());
+    elements.settingsPersonaFile.addEventListener('change', () => {
+        const [file] = elements.settingsPersonaFile.files;
+        elements.settingsPersonaFile.value = '';
+        if (file) importPersonas(file);
+    });
+    elements.personaSelect.addEventListener('change', () => setSessionPersona(elements.personaSelect.value));
+
+    elements.micButton.addEventListener('click', handleVoiceToggle);
+
+    // --- Initialization ---
+
+    initAnimatedCore();
+    updateUI();
+    sessionsReady = initSessions();
+});
@@ -0,0 +1,1124 @@
+// This is the local server for the VISION AI assistant.
+// It serves the app and forwards model requests to Gemini, so the API key
+// stays on the server instead of being shipped to every browser. It also
+// runs the web search and page fetching behind the assistant's tools.
+//
+// Run it with `node Server.js` (Node 18 or later, no dependencies). Settings
+// come from environment variables; see the README for the full list.
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const dns = require('node:dns/promises');
+const fs = require('node:fs/promises');
+const https = require('node:https');
+const net = require('node:net');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+// --- Configuration ---
+
+/**
+ * Reads a numeric environment variable.
+ * @param {string} name - The variable name.
+ * @param {number} fallback - The value used when it is unset or not a number.
+ * @returns {number}
+ */
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+
+const apiKey = process.env.GEMINI_API_KEY || '';
+
+const config = {
+    port: numberFromEnv('PORT', 3000),
+    // Only reachable from this machine unless HOST is set, e.g. to 0.0.0.0.
+    host: process.env.HOST || '127.0.0.1',
+    geminiBaseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+    // Without a key there is nothing to forward to, so the server answers with canned data.
+    isMock: process.argv.includes('--mock') || process.env.VISION_MOCK === '1' || !apiKey,
+    mockLatency: numberFromEnv('MOCK_LATENCY', 300),
+    // Answers the web search tool using Gemini's Google Search grounding.
+    searchModel: process.env.SEARCH_MODEL || 'gemini-2.5-flash-preview-05-20',
+    webFetch: {
+        timeout: numberFromEnv('FETCH_TIMEOUT_SECONDS', 10) * 1000,
+        // Pages larger than this are cut off rather than refused.
+        maxSize: numberFromEnv('FETCH_MAX_KB', 2048) * 1024,
+        // Characters of page text handed back to the browser.
+        maxText: 20000
+    },
+    rateLimit: {
+        // Requests each client may make per minute, on average.
+        perMinute: numberFromEnv('RATE_LIMIT_PER_MINUTE', 60),
+        // How many requests may arrive at once, e.g. the sentences of a reply being read aloud.
+        burst: numberFromEnv('RATE_LIMIT_BURST', 30)
+    },
+    cache: {
+        ttl: numberFromEnv('CACHE_TTL_SECONDS', 600) * 1000,
+        maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 200)
+    },
+    // Room for a conversation carrying several base64-encoded images.
+    maxBodySize: numberFromEnv('MAX_BODY_MB', 32) * 1024 * 1024,
+    // Use the first X-Forwarded-For address as the client, when running behind a reverse proxy.
+    trustProxy: process.env.TRUST_PROXY === '1'
+};
+
+// Files the server is willing to serve, by URL path.
+const staticFiles = {
+    '/': { file: 'Index.html', type: 'text/html; charset=utf-8' },
+    '/Index.html': { file: 'Index.html', type: 'text/html; charset=utf-8' },
+    '/JavaScript.js': { file: 'JavaScript.js', type: 'text/javascript; charset=utf-8' },
+    '/Style.css': { file: 'Style.css', type: 'text/css; charset=utf-8' }
+};
+
+// --- Errors ---
+
+/**
+ * An error with the HTTP status the client should receive. `category` tells
+ * the browser what kind of failure it was when the status alone doesn't,
+ * and `retryAfter` (in seconds) becomes a Retry-After header.
+ */
+class HttpError extends Error {
+    constructor(status, message, { category = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.category = category;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// --- Rate Limiting ---
+
+// A token bucket per client: each request takes a token, and tokens refill at
+// `perMinute` per minute up to `burst`.
+const buckets = new Map();
+
+/**
+ * Takes a token from a client's bucket.
+ * @param {string} clientId - The client's address.
+ * @returns {number} - 0 if the request may proceed, otherwise the seconds until it may.
+ */
+const takeToken = (clientId) => {
+    const { perMinute, burst } = config.rateLimit;
+    const now = Date.now();
+    const bucket = buckets.get(clientId) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+    bucket.updatedAt = now;
+    buckets.set(clientId, bucket);
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / perMinute) * 60);
+};
+
+// Forget clients whose buckets have refilled, so the map does not grow forever.
+setInterval(() => {
+    const { perMinute, burst } = config.rateLimit;
+    const now = Date.now();
+    buckets.forEach((bucket, clientId) => {
+        if (bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute >= burst) buckets.delete(clientId);
+    });
+}, 60000).unref();
+
+// --- Response Cache ---
+
+// Least-recently-used cache of JSON responses; a Map iterates in insertion order.
+const cache = new Map();
+
+/**
+ * Builds the cache key for a request.
+ * @param {string} route - The API route.
+ * @param {object} body - The request body.
+ * @returns {string}
+ */
+const cacheKey = (route, body) => crypto.createHash('sha256').update(`${route}\n${JSON.stringify(body)}`).digest('hex');
+
+/**
+ * Looks up a cached response.
+ * @param {string} key - The cache key.
+ * @returns {object|undefined}
+ */
+const readCache = (key) => {
+    const entry = cache.get(key);
+    if (!entry) return undefined;
+    cache.delete(key);
+    if (entry.expiresAt < Date.now()) return undefined;
+    cache.set(key, entry);
+    return entry.value;
+};
+
+/**
+ * Stores a response, evicting the least recently used one when full.
+ * @param {string} key - The cache key.
+ * @param {object} value - The response body.
+ */
+const writeCache = (key, value) => {
+    cache.delete(key);
+    cache.set(key, { value, expiresAt: Date.now() + config.cache.ttl });
+    if (cache.size > config.cache.maxEntries) {
+        cache.delete(cache.keys().next().value);
+    }
+};
+
+// --- Web Pages ---
+
+/**
+ * Whether an IPv4 address is loopback, private, link-local, shared, multicast
+ * or reserved.
+ * @param {Array<number>} octets - The four octets.
+ * @returns {boolean}
+ */
+const isPrivateIPv4 = ([a, b]) => a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 100 && b >= 64 && b < 128)
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b < 32)
+    || (a === 192 && b === 168)
+    || (a === 198 && (b === 18 || b === 19));
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups, including the
+ * dotted-quad tail of forms like `::ffff:127.0.0.1`.
+ * @param {string} address - A valid IPv6 address.
+ * @returns {Array<number>}
+ */
+const ipv6Groups = (address) => {
+    let text = address.toLowerCase().replace(/%.*$/, '');
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+};
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on
+ * the public internet. IPv6 addresses that carry an IPv4 address (mapped,
+ * compatible, NAT64 and 6to4) are judged by that IPv4 address, whichever
+ * way they are written.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+    if (net.isIPv4(address)) return isPrivateIPv4(address.split('.').map(Number));
+    if (!net.isIPv6(address)) return true;
+    const groups = ipv6Groups(address);
+    const octetsOf = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff];
+    const zeroPrefix = (count) => groups.slice(0, count).every(group => group === 0);
+    // ::ffff:a.b.c.d (mapped) and ::a.b.c.d (compatible, which also covers :: and ::1).
+    if (zeroPrefix(5) && (groups[5] === 0xffff || groups[5] === 0)) return isPrivateIPv4(octetsOf(groups[6], groups[7]));
+    // 64:ff9b::a.b.c.d, the well-known NAT64 prefix.
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return isPrivateIPv4(octetsOf(groups[6], groups[7]));
+    }
+    // 6to4 (2002:a.b.c.d::/48).
+    if (groups[0] === 0x2002) return isPrivateIPv4(octetsOf(groups[1], groups[2]));
+    return (groups[0] === 0x64 && groups[1] === 0xff9b) // Local-use NAT64 (64:ff9b:1::/48).
+        || (groups[0] === 0x2001 && groups[1] === 0) // Teredo, which hides its IPv4 address.
+        || (groups[0] & 0xfe00) === 0xfc00 // Unique local.
+        || (groups[0] & 0xffc0) === 0xfe80 // Link-local.
+        || (groups[0] & 0xffc0) === 0xfec0 // Site-local.
+        || (groups[0] & 0xff00) === 0xff00; // Multicast.
+};
+
+/**
+ * Checks that a URL is http(s) and, if its host is an IP address, that the
+ * address is public. Host names are checked when they are resolved, in
+ * `publicLookup`.
+ * @param {string} value - The URL.
+ * @returns {URL}
+ */
+const requirePublicUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        // Reported below.
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new HttpError(400, '"url" must be an absolute http or https URL.');
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new HttpError(400, 'Only public web addresses can be fetched.');
+    }
+    return url;
+};
+
+/**
+ * Resolves a host name, refusing it if any of its addresses is not public.
+ * @param {string} hostname - The host name.
+ * @param {number} [family] - 4 or 6 to resolve only that family; 0 for both.
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ */
+const resolvePublicHost = async (hostname, family = 0) => {
+    const addresses = await dns.lookup(hostname, { all: true, family }).catch(() => {
+        throw new HttpError(400, `Couldn't resolve ${hostname}.`);
+    });
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new HttpError(400, 'Only public web addresses can be fetched.');
+    }
+    return addresses;
+};
+
+/**
+ * A `lookup` for page requests that connects only to addresses checked by
+ * `resolvePublicHost`, so a second DNS answer (DNS rebinding) can't point the
+ * connection somewhere else.
+ * @param {string} hostname - The host name.
+ * @param {{all?: boolean, family?: number}} options - Lookup options from `net.connect`.
+ * @param {Function} callback - Receives the error, or the address(es).
+ */
+const publicLookup = (hostname, options, callback) => {
+    resolvePublicHost(hostname, options.family || 0).then((addresses) => {
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    }, error => callback(error));
+};
+
+/**
+ * Sends a GET request for a web page through `publicLookup`.
+ * @param {URL} url - The page.
+ * @param {AbortSignal} signal - Cancels the request.
+ * @returns {Promise<http.IncomingMessage>} - The response, body not yet read.
+ */
+const requestPage = (url, signal) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+        headers: { Accept: 'text/html, text/plain;q=0.9, */*;q=0.5', 'User-Agent': 'VISION-assistant' },
+        lookup: publicLookup,
+        signal
+    }, resolve);
+    request.on('error', reject);
+});
+
+const htmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decodes the HTML entities likely to appear in page text.
+ * @param {string} text - Text with entities.
+ * @returns {string}
+ */
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] !== '#') return htmlEntities[name.toLowerCase()] ?? match;
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+});
+
+/**
+ * Reduces an HTML page to its readable text, one block per line.
+ * @param {string} html - The page.
+ * @returns {string}
+ */
+const htmlToText = (html) => decodeEntities(html
+    .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<\/?(p|div|br|li|h[1-6]|tr|section|article|header|footer|blockquote|pre)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+
+/**
+ * Reads a response body as text, stopping once `maxSize` bytes have arrived.
+ * @param {http.IncomingMessage} response - The response.
+ * @param {number} maxSize - The most bytes to read.
+ * @returns {Promise<string>}
+ */
+const readLimited = async (response, maxSize) => {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxSize) break;
+    }
+    return Buffer.concat(chunks).subarray(0, maxSize).toString('utf8');
+};
+
+/**
+ * Downloads a public web page for the URL fetch tool and returns its title
+ * and text. Redirects are followed by hand so every hop is checked.
+ * @param {{url: string, signal: AbortSignal}} args - The page and an abort signal.
+ * @returns {Promise<{url: string, title: string, text: string}>}
+ */
+const fetchWebPage = async ({ url, signal }) => {
+    let target = requirePublicUrl(url);
+    const fetchSignal = AbortSignal.any([signal, AbortSignal.timeout(config.webFetch.timeout)]);
+    let response;
+    try {
+        for (let hop = 0; ; hop++) {
+            response = await requestPage(target, fetchSignal);
+            const { location } = response.headers;
+            if (response.statusCode < 300 || response.statusCode >= 400 || !location) break;
+            response.destroy();
+            if (hop === 4) throw new HttpError(502, 'The page redirected too many times.');
+            target = requirePublicUrl(new URL(location, target).href);
+        }
+    } catch (error) {
+        if (error instanceof HttpError || signal.aborted) throw error;
+        throw new HttpError(502, `Couldn't fetch the page: ${error.message}`);
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.destroy();
+        throw new HttpError(502, `The page answered ${response.statusCode} ${response.statusMessage}.`);
+    }
+    const type = response.headers['content-type'] || '';
+    if (!/^(text\/|application\/(json|xml|xhtml\+xml))/.test(type)) {
+        response.destroy();
+        throw new HttpError(415, `Can't read ${type.split(';')[0] || 'untyped'} content.`);
+    }
+    const body = await readLimited(response, config.webFetch.maxSize);
+    const isHtml = type.includes('html');
+    return {
+        url: target.href,
+        title: isHtml ? decodeEntities(body.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim() : '',
+        text: (isHtml ? htmlToText(body) : body).slice(0, config.webFetch.maxText)
+    };
+};
+
+// --- Gemini Upstream ---
+
+/**
+ * Reads a server-sent events body and passes each parsed `data:` payload on.
+ * @param {Response} response - The fetch response.
+ * @param {Function} onData - Called with each JSON payload.
+ */
+const readServerSentEvents = async (response, onData) => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => {
+            const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+            if (data && data !== '[DONE]') onData(JSON.parse(data));
+        });
+    }
+};
+
+/**
+ * Flattens the text parts of a Gemini message.
+ * @param {{parts: Array<object>}} message - The message.
+ * @returns {string}
+ */
+const textOfParts = (message) => (message?.parts || []).map(part => part.text || '').join('');
+
+// Finish reasons that mean Gemini withheld the reply rather than completing it.
+const blockReasons = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY'];
+
+/**
+ * Throws a 422 safety-block error if Gemini refused the prompt or cut the reply off.
+ * @param {object} result - A `generateContent` response or stream chunk.
+ * @returns {object} - The same result.
+ */
+const checkBlocked = (result) => {
+    const finishReason = result?.candidates?.[0]?.finishReason;
+    const reason = result?.promptFeedback?.blockReason || (blockReasons.includes(finishReason) && finishReason);
+    if (reason) {
+        throw new HttpError(422, `The response was blocked (${reason}).`, { category: 'safety-block' });
+    }
+    return result;
+};
+
+/**
+ * Collects the function calls in a Gemini message. A call's thought
+ * signature, when it has one, must be sent back along with it.
+ * @param {{parts: Array<object>}} message - The message.
+ * @returns {Array<{id: string, name: string, args: object, signature?: string}>}
+ */
+const functionCallsOf = (message) => (message?.parts || [])
+    .filter(part => part.functionCall)
+    .map(part => ({
+        id: part.functionCall.id || crypto.randomUUID(),
+        name: part.functionCall.name,
+        args: part.functionCall.args || {},
+        ...(part.thoughtSignature ? { signature: part.thoughtSignature } : {})
+    }));
+
+/**
+ * Forwards requests to the Gemini API with the server's key.
+ * @param {{baseUrl: string, apiKey: string}} settings - Where to send requests and with which key.
+ * @returns {object} - The upstream, with the same methods as the mock.
+ */
+const createGeminiUpstream = ({ baseUrl, apiKey: key }) => {
+    const post = async (model, method, payload, signal) => {
+        const response = await fetch(`${baseUrl}/models/${model}:${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': key },
+            body: JSON.stringify(payload),
+            signal
+        });
+        if (!response.ok) {
+            const detail = await response.json().catch(() => null);
+            // Gemini answers a bad key with 400, which the browser can do nothing about.
+            if (response.status === 401 || response.status === 403 || /api key/i.test(detail?.error?.message || '')) {
+                throw new HttpError(502, "The server's Gemini API key was rejected.", { category: 'auth' });
+            }
+            // Pass on statuses the client can act on; anything else is the server's problem.
+            const status = [400, 404, 408, 429].includes(response.status) ? response.status : 502;
+            const retryAfter = Number(response.headers.get('Retry-After')) || null;
+            throw new HttpError(status, `Gemini API error: ${response.status} ${response.statusText}`, { retryAfter });
+        }
+        return response;
+    };
+
+    return {
+        chat: async ({ model, contents, generation, tools, signal }) => {
+            const result = checkBlocked(await (await post(model, 'generateContent', { contents, ...generation, ...tools }, signal)).json());
+            const content = result?.candidates?.[0]?.content;
+            return { text: textOfParts(content), toolCalls: functionCallsOf(content) };
+        },
+        streamChat: async ({ model, contents, generation, tools, signal, onToken }) => {
+            const response = await post(model, 'streamGenerateContent?alt=sse', { contents, ...generation, ...tools }, signal);
+            const toolCalls = [];
+            await readServerSentEvents(response, (result) => {
+                const content = checkBlocked(result)?.candidates?.[0]?.content;
+                const token = textOfParts(content);
+                if (token) onToken(token);
+                toolCalls.push(...functionCallsOf(content));
+            });
+            return { toolCalls };
+        },
+        generateImage: async ({ model, prompt, signal }) => {
+            const payload = { instances: [{ prompt }], parameters: { sampleCount: 1 } };
+            const result = await (await post(model, 'predict', payload, signal)).json();
+            if (result?.predictions?.[0]?.raiFilteredReason) {
+                throw new HttpError(422, result.predictions[0].raiFilteredReason, { category: 'safety-block' });
+            }
+            const data = result?.predictions?.[0]?.bytesBase64Encoded;
+            return data ? { mimeType: 'image/png', data } : null;
+        },
+        editImage: async ({ model, prompt, image, signal }) => {
+            const payload = {
+                contents: [{ role: 'user', parts: [{ text: prompt }, { inlineData: image }] }],
+                generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+            };
+            const result = checkBlocked(await (await post(model, 'generateContent', payload, signal)).json());
+            const part = (result?.candidates?.[0]?.content?.parts || []).find(item => item.inlineData);
+            return part ? { mimeType: part.inlineData.mimeType, data: part.inlineData.data } : null;
+        },
+        speak: async ({ model, text, voice, signal }) => {
+            const payload = {
+                contents: [{ parts: [{ text }] }],
+                generationConfig: {
+                    responseModalities: ['AUDIO'],
+                    speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } }
+                }
+            };
+            const result = await (await post(model, 'generateContent', payload, signal)).json();
+            const inlineData = result?.candidates?.[0]?.content?.parts?.[0]?.inlineData;
+            return inlineData?.data ? { mimeType: inlineData.mimeType, data: inlineData.data } : null;
+        },
+        // Searches with Google Search grounding and returns the sources Gemini cited.
+        search: async ({ query, signal }) => {
+            const payload = { contents: [{ role: 'user', parts: [{ text: query }] }], tools: [{ google_search: {} }] };
+            const result = await (await post(config.searchModel, 'generateContent', payload, signal)).json();
+            const candidate = result?.candidates?.[0];
+            const { groundingChunks = [], groundingSupports = [] } = candidate?.groundingMetadata || {};
+            // Each source's snippet is the first part of the answer that cites it.
+            const snippets = [];
+            groundingSupports.forEach(support => (support.groundingChunkIndices || []).forEach(index => {
+                snippets[index] = snippets[index] || support.segment?.text || '';
+            }));
+            return {
+                summary: textOfParts(candidate?.content),
+                results: groundingChunks
+                    .map((chunk, index) => chunk.web && { title: chunk.web.title || chunk.web.uri, url: chunk.web.uri, snippet: snippets[index] || '' })
+                    .filter(Boolean)
+            };
+        },
+        fetchPage: fetchWebPage
+    };
+};
+
+// --- Mock Upstream ---
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let crc = n;
+    for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    return crc >>> 0;
+});
+
+/**
+ * Computes the CRC-32 that PNG chunks end with.
+ * @param {Buffer} buffer - The bytes.
+ * @returns {number}
+ */
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Builds one PNG chunk.
+ * @param {string} type - The four-letter chunk type.
+ * @param {Buffer} data - The chunk data.
+ * @returns {Buffer}
+ */
+const pngChunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Converts an HSL colour to RGB bytes.
+ * @param {number} hue - 0–360.
+ * @param {number} saturation - 0–1.
+ * @param {number} lightness - 0–1.
+ * @returns {Array<number>}
+ */
+const hslToRgb = (hue, saturation, lightness) => {
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const channel = (offset) => {
+        const k = (offset + hue / 30) % 12;
+        return Math.round((lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+    };
+    return [channel(0), channel(8), channel(4)];
+};
+
+/**
+ * Draws a diagonal gradient in a random hue as a PNG, so regenerated images
+ * and variations are told apart.
+ * @param {number} [size] - Width and height in pixels.
+ * @returns {{mimeType: string, data: string}} - The base64 image.
+ */
+const placeholderImage = (size = 256) => {
+    const hue = Math.floor(Math.random() * 360);
+    const from = hslToRgb(hue, 1, 0.25);
+    const to = hslToRgb((hue + 40) % 360, 0.76, 0.53);
+    const rowLength = size * 3 + 1;
+    const pixels = Buffer.alloc(rowLength * size);
+    for (let y = 0; y < size; y++) {
+        // Each row starts with filter type 0 (none).
+        for (let x = 0; x < size; x++) {
+            const t = (x + y) / (2 * (size - 1));
+            const offset = y * rowLength + 1 + x * 3;
+            for (let channel = 0; channel < 3; channel++) {
+                pixels[offset + channel] = Math.round(from[channel] + (to[channel] - from[channel]) * t);
+            }
+        }
+    }
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header.set([8, 2, 0, 0, 0], 8);
+    const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(pixels)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+    return { mimeType: 'image/png', data: png.toString('base64') };
+};
+
+/**
+ * Resolves after the given number of milliseconds, or rejects if aborted.
+ * @param {number} ms - How long to wait.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>}
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+    }
+    const handleAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Offline stand-in for Gemini. It answers every route with canned data so
+ * the app can be run and tested without a network connection or a key.
+ * @param {{latency: number}} settings - How long each answer takes.
+ * @returns {object} - The upstream.
+ */
+const createMockUpstream = ({ latency }) => {
+    const cannedReply = (contents) => {
+        const lastTurn = contents[contents.length - 1];
+        const prompt = textOfParts(lastTurn).trim();
+        const imageCount = (lastTurn?.parts || []).filter(part => part.inlineData).length;
+        const imageNote = imageCount ? ` I received ${imageCount} image(s) but cannot look at them in mock mode.` : '';
+        return `[mock server] You said: "${prompt.slice(0, 200)}".${imageNote} This conversation has ${contents.length} turn(s) so far.`;
+    };
+
+    // Requests answered with a tool call, so the browser's tool loop can be run against the mock server.
+    const toolRequests = [
+        [/https?:\/\/\S+/, match => ['fetch_url', { url: match[0] }]],
+        [/\bconvert\s+(-?[\d.]+)\s*(\S+)\s+(?:to|into)\s+(\S+?)[?.!]*$/i, match => ['convert_units', { value: Number(match[1]), from: match[2], to: match[3] }]],
+        [/\b(?:calculate|compute)\s+(.+?)[?.!]*$/i, match => ['calculator', { expression: match[1] }]],
+        [/\b(?:what time|what day|today's date|current (?:date|time))\b/i, () => ['get_datetime', {}]],
+        [/\b(?:search(?: for)?|look up)\s+(.+?)[?.!]*$/i, match => ['web_search', { query: match[1] }]]
+    ];
+
+    // A tool result is quoted back; otherwise a recognised request gets a tool call, if that tool is on offer.
+    const respond = (contents, tools) => {
+        const lastTurn = contents[contents.length - 1];
+        const results = (lastTurn?.parts || []).filter(part => part.functionResponse);
+        if (results.length) {
+            const quotes = results.map(({ functionResponse: { name, response } }) => `The ${name} tool returned ${JSON.stringify(response).slice(0, 300)}.`);
+            return { text: `[mock server] ${quotes.join(' ')}`, toolCalls: [] };
+        }
+        const offered = (tools?.tools || []).flatMap(tool => tool.functionDeclarations || []).map(declaration => declaration.name);
+        // The question is the turn's last text; document excerpts come before it.
+        const prompt = ([...(lastTurn?.parts || [])].reverse().find(part => part.text)?.text || '').trim();
+        for (const [pattern, toCall] of toolRequests) {
+            const match = prompt.match(pattern);
+            if (!match) continue;
+            const [name, args] = toCall(match);
+            if (offered.includes(name)) {
+                return { text: '', toolCalls: [{ id: crypto.randomUUID(), name, args }] };
+            }
+        }
+        return { text: cannedReply(contents), toolCalls: [] };
+    };
+
+    return {
+        chat: async ({ contents, tools, signal }) => {
+            await delay(latency, signal);
+            return respond(contents, tools);
+        },
+        streamChat: async ({ contents, tools, signal, onToken }) => {
+            const { text, toolCalls } = respond(contents, tools);
+            for (const word of text ? text.split(/(?<=\s)/) : []) {
+                await delay(latency / 10, signal);
+                onToken(word);
+            }
+            return { toolCalls };
+        },
+        generateImage: async ({ signal }) => {
+            await delay(latency, signal);
+            return placeholderImage();
+        },
+        editImage: async ({ signal }) => {
+            await delay(latency, signal);
+            return placeholderImage();
+        },
+        speak: async ({ text, signal }) => {
+            await delay(latency, signal);
+            const sampleRate = 24000;
+            const seconds = Math.min(text.length * 0.05, 10);
+            // Silence, in the same 16-bit PCM format Gemini returns.
+            const pcm = Buffer.alloc(Math.round(sampleRate * seconds) * 2);
+            return { mimeType: `audio/L16;codec=pcm;rate=${sampleRate}`, data: pcm.toString('base64') };
+        },
+        search: async ({ query, signal }) => {
+            await delay(latency, signal);
+            return {
+                summary: `[mock server] No real search was run for "${query}".`,
+                results: [1, 2, 3].map(n => ({
+                    title: `Example result ${n} for "${query}"`,
+                    url: `https://example.com/search?q=${encodeURIComponent(query)}&result=${n}`,
+                    snippet: 'A canned search result standing in for a real one.'
+                }))
+            };
+        },
+        fetchPage: async ({ url, signal }) => {
+            await delay(latency, signal);
+            return { url, title: 'Mock page', text: `[mock server] This stands in for the text of ${url}.` };
+        }
+    };
+};
+
+const upstream = config.isMock
+    ? createMockUpstream({ latency: config.mockLatency })
+    : createGeminiUpstream({ baseUrl: config.geminiBaseUrl, apiKey });
+
+// --- Routes ---
+
+/**
+ * Checks a model name before it goes into an upstream URL.
+ * @param {*} model - The requested model.
+ * @param {string} fallback - The model used when none was given.
+ * @returns {string}
+ */
+const requireModel = (model, fallback) => {
+    if (model === undefined || model === '') return fallback;
+    if (typeof model !== 'string' || !/^[\w.-]+$/.test(model)) {
+        throw new HttpError(400, 'Invalid model name.');
+    }
+    return model;
+};
+
+/**
+ * Checks that a field is a non-empty string.
+ * @param {*} value - The field.
+ * @param {string} name - The field name, for the error message.
+ * @returns {string}
+ */
+const requireText = (value, name) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new HttpError(400, `"${name}" must be a non-empty string.`);
+    }
+    return value;
+};
+
+/**
+ * Checks a Gemini-style conversation.
+ * @param {*} contents - The conversation turns.
+ * @returns {Array<object>}
+ */
+const requireContents = (contents) => {
+    if (!Array.isArray(contents) || contents.length === 0 || !contents.every(turn => Array.isArray(turn?.parts))) {
+        throw new HttpError(400, '"contents" must be a non-empty array of turns with parts.');
+    }
+    return contents;
+};
+
+/**
+ * Checks a persona's generation settings and turns them into Gemini request
+ * fields. Settings that are left out keep Gemini's defaults.
+ * @param {*} generation - `{systemInstruction, temperature, topP, maxOutputTokens, safety}`, if any.
+ * @returns {object} - `systemInstruction`, `generationConfig` and `safetySettings`, where set.
+ */
+const requireGeneration = (generation) => {
+    if (generation === undefined || generation === null) return {};
+    if (typeof generation !== 'object' || Array.isArray(generation)) {
+        throw new HttpError(400, '"generation" must be an object.');
+    }
+    const { systemInstruction, temperature, topP, maxOutputTokens, safety } = generation;
+    const number = (value, name, min, max) => {
+        if (value === undefined || value === null) return undefined;
+        if (typeof value !== 'number' || !(value >= min && value <= max)) {
+            throw new HttpError(400, `"generation.${name}" must be a number from ${min} to ${max}.`);
+        }
+        return value;
+    };
+    if (systemInstruction !== undefined && systemInstruction !== null && typeof systemInstruction !== 'string') {
+        throw new HttpError(400, '"generation.systemInstruction" must be a string.');
+    }
+    if (maxOutputTokens !== undefined && maxOutputTokens !== null && !Number.isInteger(maxOutputTokens)) {
+        throw new HttpError(400, '"generation.maxOutputTokens" must be a whole number.');
+    }
+    const safetySettings = Object.entries(safety || {}).map(([category, threshold]) => {
+        if (!/^HARM_CATEGORY_[A-Z_]+$/.test(category) || typeof threshold !== 'string' || !/^(BLOCK_[A-Z_]+|OFF)$/.test(threshold)) {
+            throw new HttpError(400, '"generation.safety" must map harm categories to thresholds.');
+        }
+        return { category, threshold };
+    });
+    // JSON round-tripping drops the settings that were left out.
+    const generationConfig = JSON.parse(JSON.stringify({
+        temperature: number(temperature, 'temperature', 0, 2),
+        topP: number(topP, 'topP', 0, 1),
+        maxOutputTokens: number(maxOutputTokens, 'maxOutputTokens', 1, 65536)
+    }));
+    return {
+        ...(systemInstruction ? { systemInstruction: { parts: [{ text: systemInstruction }] } } : {}),
+        ...(Object.keys(generationConfig).length ? { generationConfig } : {}),
+        ...(safetySettings.length ? { safetySettings } : {})
+    };
+};
+
+/**
+ * Checks the function declarations a chat request offers the model and turns
+ * them into Gemini's `tools` field.
+ * @param {*} tools - `[{name, description, parameters}]`, if any.
+ * @returns {object} - `{tools}`, or nothing when no tools were offered.
+ */
+const requireTools = (tools) => {
+    if (tools === undefined || tools === null) return {};
+    const isDeclaration = (tool) => typeof tool?.name === 'string'
+        && /^[a-zA-Z_][\w.-]{0,63}$/.test(tool.name)
+        && typeof (tool.description ?? '') === 'string'
+        && (tool.parameters === undefined || (typeof tool.parameters === 'object' && tool.parameters !== null));
+    if (!Array.isArray(tools) || tools.length > 32 || !tools.every(isDeclaration)) {
+        throw new HttpError(400, '"tools" must be an array of {name, description, parameters} declarations.');
+    }
+    return tools.length
+        ? { tools: [{ functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters })) }] }
+        : {};
+};
+
+/**
+ * Checks an inline image.
+ * @param {*} image - The `{mimeType, data}` image.
+ * @returns {{mimeType: string, data: string}}
+ */
+const requireImage = (image) => {
+    if (typeof image?.mimeType !== 'string' || !image.mimeType.startsWith('image/') || typeof image.data !== 'string') {
+        throw new HttpError(400, '"image" must be an object with an image mimeType and base64 data.');
+    }
+    return { mimeType: image.mimeType, data: image.data };
+};
+
+/**
+ * The API routes. `parse` validates the body and returns the upstream
+ * arguments; `run` calls the upstream. Only deterministic answers are
+ * cached: regenerating a reply or an image must give a new one.
+ */
+const apiRoutes = {
+    '/api/chat': {
+        parse: (body) => ({
+            model: requireModel(body.model, 'gemini-2.5-flash-preview-05-20'),
+            contents: requireContents(body.contents),
+            generation: requireGeneration(body.generation),
+            tools: requireTools(body.tools)
+        }),
+        run: (args) => upstream.chat(args),
+        isStreamable: true,
+        isCacheable: true
+    },
+    '/api/vision': {
+        parse: (body) => ({
+            model: requireModel(body.model, 'gemini-2.5-flash-preview-05-20'),
+            contents: requireContents(body.contents),
+            generation: requireGeneration(body.generation),
+            tools: requireTools(body.tools)
+        }),
+        run: (args) => upstream.chat(args),
+        isStreamable: true,
+        isCacheable: true
+    },
+    '/api/image': {
+        parse: (body) => ({ model: requireModel(body.model, 'imagen-3.0-generate-002'), prompt: requireText(body.prompt, 'prompt') }),
+        run: (args) => upstream.generateImage(args),
+        isCacheable: false
+    },
+    '/api/image/edit': {
+        parse: (body) => ({
+            model: requireModel(body.model, 'gemini-2.0-flash-preview-image-generation'),
+            prompt: requireText(body.prompt, 'prompt'),
+            image: requireImage(body.image)
+        }),
+        run: (args) => upstream.editImage(args),
+        isCacheable: false
+    },
+    '/api/tts': {
+        parse: (body) => ({
+            model: requireModel(body.model, 'gemini-2.5-flash-preview-tts'),
+            text: requireText(body.text, 'text').slice(0, 5000),
+            voice: typeof body.voice === 'string' && body.voice ? body.voice : 'Kore'
+        }),
+        run: (args) => upstream.speak(args),
+        isCacheable: true
+    },
+    '/api/search': {
+        parse: (body) => ({ query: requireText(body.query, 'query').slice(0, 500) }),
+        run: (args) => upstream.search(args),
+        isCacheable: true
+    },
+    '/api/fetch': {
+        parse: (body) => ({ url: requireText(body.url, 'url') }),
+        run: (args) => upstream.fetchPage(args),
+        isCacheable: true
+    }
+};
+
+/**
+ * Reads and parses a JSON request body, enforcing the size limit.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>}
+ */
+const readJsonBody = async (req) => {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > config.maxBodySize) {
+            throw new HttpError(413, 'Request body is too large.');
+        }
+        chunks.push(chunk);
+    }
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+    } catch (error) {
+        // Reported below.
+    }
+    throw new HttpError(400, 'Request body must be a JSON object.');
+};
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {object} body - The payload.
+ * @param {object} [headers] - Extra headers.
+ */
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Streams a chat reply to the client as server-sent events of `{text}`,
+ * followed by `{toolCalls}` if the model called any tools. Nothing is sent until the first token arrives, so an upstream failure
+ * before then still gets a proper error status.
+ * @param {http.ServerResponse} res - The response.
+ * @param {object} args - The upstream arguments.
+ * @param {AbortSignal} signal - Aborted when the client goes away.
+ */
+const streamChat = async (res, args, signal) => {
+    const send = (payload) => {
+        if (!res.headersSent) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+        }
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+    try {
+        const result = await upstream.streamChat({ ...args, signal, onToken: (text) => send({ text }) });
+        if (result?.toolCalls?.length) send({ toolCalls: result.toolCalls });
+    } catch (error) {
+        if (!res.headersSent) throw error;
+        if (!signal.aborted) {
+            console.error('Stream failed part-way:', error.message);
+            send(error.category === 'safety-block'
+                ? { error: error.message, category: error.category }
+                : { error: 'The reply was cut off by an upstream error.', category: 'server' });
+        }
+    }
+    if (!res.headersSent) send({ text: '' });
+    res.end();
+};
+
+/**
+ * Handles a request to one of the API routes.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {object} route - The entry from `apiRoutes`.
+ * @param {{clientId: string, cache: string|null}} context - Per-request details, for rate limiting and the log.
+ */
+const handleApiRequest = async (req, res, route, context) => {
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'Use POST.');
+    }
+    const retryAfter = takeToken(context.clientId);
+    if (retryAfter) {
+        throw new HttpError(429, 'Too many requests. Please slow down.', { retryAfter });
+    }
+
+    const body = await readJsonBody(req);
+    const args = route.parse(body);
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    if (body.stream && route.isStreamable) {
+        await streamChat(res, args, controller.signal);
+        return;
+    }
+
+    const key = route.isCacheable ? cacheKey(req.url, args) : null;
+    const cached = key && readCache(key);
+    if (cached) {
+        context.cache = 'HIT';
+        sendJson(res, 200, cached, { 'X-Cache': 'HIT' });
+        return;
+    }
+    const result = await route.run({ ...args, signal: controller.signal });
+    if (!result) {
+        throw new HttpError(502, 'The model returned nothing usable.');
+    }
+    if (key) {
+        context.cache = 'MISS';
+        writeCache(key, result);
+    }
+    sendJson(res, 200, result, key ? { 'X-Cache': 'MISS' } : {});
+};
+
+// --- Static Files ---
+
+/**
+ * Serves one of the app's own files.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {{file: string, type: string}} entry - The entry from `staticFiles`.
+ */
+const serveStaticFile = async (req, res, { file, type }) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Use GET.');
+    }
+    const content = await fs.readFile(path.join(__dirname, file));
+    res.writeHead(200, { 'Content-Type': type, 'Content-Length': content.length, 'Cache-Control': 'no-cache' });
+    res.end(req.method === 'HEAD' ? undefined : content);
+};
+
+// --- Server ---
+
+/**
+ * Identifies the client for rate limiting and logs.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {string}
+ */
+const clientIdOf = (req) => {
+    const forwarded = config.trustProxy && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress || 'unknown';
+};
+
+/**
+ * Logs one line per request once the response is done. Bodies and keys are never logged.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} startedAt - When the request arrived.
+ * @param {{clientId: string, cache: string|null}} context - Per-request details.
+ */
+const logRequest = (req, res, startedAt, context) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const status = res.writableFinished ? res.statusCode : `${res.statusCode} (aborted)`;
+    const cacheNote = context.cache ? ` cache=${context.cache}` : '';
+    console.log(`${new Date().toISOString()} ${context.clientId} ${req.method} ${pathname} ${status} ${Date.now() - startedAt}ms${cacheNote}`);
+};
+
+const server = http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    const context = { clientId: clientIdOf(req), cache: null };
+    res.on('close', () => logRequest(req, res, startedAt, context));
+
+    try {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (apiRoutes[pathname]) {
+            await handleApiRequest(req, res, apiRoutes[pathname], context);
+        } else if (staticFiles[pathname]) {
+            await serveStaticFile(req, res, staticFiles[pathname]);
+        } else {
+            throw new HttpError(404, 'Not found.');
+        }
+    } catch (error) {
+        if (error.name === 'AbortError' || res.destroyed) return;
+        if (!(error instanceof HttpError)) {
+            console.error(`${req.method} ${req.url} failed:`, error);
+        }
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        if (!(error instanceof HttpError)) {
+            sendJson(res, 500, { error: 'Internal server error.' });
+            return;
+        }
+        const { status, message, category, retryAfter } = error;
+        sendJson(res, status, category ? { error: message, category } : { error: message }, retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+    }
+});
+
+server.listen(config.port, config.host, () => {
+    console.log(`VISION is running at http://${config.host === '0.0.0.0' ? 'localhost' : config.host}:${config.port}/`);
+    if (config.isMock) {
+        console.log(apiKey
+            ? 'Mock mode: answering with canned responses.'
+            : 'No GEMINI_API_KEY set, so running in mock mode with canned responses.');
+    }
+});